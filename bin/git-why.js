@@ -1,9 +1,17 @@
 #!/usr/bin/env node
 
-import { program } from 'commander';
+import { InvalidArgumentError, Option, program } from 'commander';
 import { GitWhy } from '../lib/git-why.js';
-import chalk from 'chalk';
+import { PROVIDER_NAMES } from '../lib/providers.js';
+import { mapPool } from '../lib/pool.js';
+import { loadConfig } from '../lib/config.js';
+import { buildReport, writeReport } from '../lib/report.js';
+import { HOTSPOT_SORTS, findHotspots } from '../lib/hotspots.js';
+import { findOwners } from '../lib/owners.js';
+import { RpcServer, createHttpServer, serveStdio } from '../lib/server.js';
+import chalk, { Chalk } from 'chalk';
 import { readFileSync } from 'fs';
+import { createInterface } from 'readline';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
@@ -11,6 +19,268 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const packageJson = JSON.parse(readFileSync(join(__dirname, '../package.json'), 'utf-8'));
 
+/**
+ * Create a GitWhy from .gitwhyrc / git-why.config.js, overridden by CLI flags
+ */
+async function createGitWhy(options) {
+  if (options.dryRun && !['text', 'json'].includes(options.format)) {
+    throw new Error('--dry-run prints the prompt as text or --json');
+  }
+  if (options.dryRun && options.chat) {
+    throw new Error('--dry-run cannot be used with --chat');
+  }
+
+  const { config, skipped } = await loadConfig();
+  for (const path of skipped) {
+    console.error(chalk.yellow(`Skipped ${path}: repository scripts only run after git config gitwhy.trustConfig true`));
+  }
+  // A model from the config belongs to the config's provider
+  const configModel = options.provider && options.provider !== config.provider ? null : config.model;
+
+  return new GitWhy({
+    verbose: options.verbose,
+    json: options.json || options.format === 'json',
+    format: options.format,
+    noColor: !options.color,
+    provider: options.provider || config.provider,
+    model: options.model || configModel,
+    cache: options.cache,
+    diffBudget: options.budget ?? config.diffBudget,
+    maxCommits: config.maxCommits,
+    contextLines: config.contextLines,
+    ignore: config.ignore,
+    redact: config.redact,
+    dryRun: options.dryRun,
+    onPrompt: options.showPrompt ? printPrompt : null,
+    deepen: options.deepen,
+    unshallow: options.unshallow,
+    trackers: options.issues === false || !config.issues ? false : undefined
+  });
+}
+
+/**
+ * --show-prompt: print each prompt, as sent, to stderr (stdout stays
+ * clean for --json)
+ */
+function printPrompt(messages) {
+  const last = messages[messages.length - 1];
+  console.error(chalk.gray(`─── Prompt sent (${messages.length > 1 ? `message ${messages.length}` : 'first message'}) ───`));
+  console.error(last.content);
+  console.error(chalk.gray('─'.repeat(60)));
+}
+
+/**
+ * Commander parser for a whole-number option. what describes the value
+ * for the error message, e.g. 'a positive number of commits'.
+ */
+function parseWhole(what, { min = 1, max = Infinity } = {}) {
+  return value => {
+    const number = parseInt(value);
+    if (!/^\d+$/.test(value) || number < min || number > max) {
+      throw new InvalidArgumentError(`Expected ${what}.`);
+    }
+    return number;
+  };
+}
+
+/**
+ * Whether output is a finished document (JSON, Markdown, HTML) rather than
+ * terminal text streamed as it arrives
+ */
+function isBuffered(options) {
+  return Boolean(options.json) || (options.format || 'text') !== 'text';
+}
+
+const activeSpinners = new Set();
+
+/**
+ * Start a spinner on the terminal. Returns an idempotent stop function.
+ * Nothing is drawn in JSON mode or when stdout isn't a TTY.
+ */
+function startSpinner(text, options) {
+  if (isBuffered(options) || !process.stdout.isTTY) {
+    return () => {};
+  }
+
+  const frames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+  let i = 0;
+  const timer = setInterval(() => {
+    process.stdout.write(`\r${chalk.cyan(frames[i++ % frames.length])} ${text}...`);
+  }, 80);
+
+  const stop = () => {
+    if (!activeSpinners.has(stop)) return;
+    activeSpinners.delete(stop);
+    clearInterval(timer);
+    process.stdout.write('\r\x1b[2K');
+  };
+  activeSpinners.add(stop);
+  return stop;
+}
+
+// Streaming writes straight to stdout; a closed pipe (| head) just ends the run
+process.stdout.on('error', (error) => {
+  if (error.code === 'EPIPE') process.exit(0);
+  throw error;
+});
+
+// Don't leave a half-drawn spinner behind on Ctrl-C
+process.on('SIGINT', () => {
+  for (const stop of [...activeSpinners]) stop();
+  process.exit(130);
+});
+
+/**
+ * Run fn(onChunk, onWarnings) and print the explanation as it streams in,
+ * under any history warnings reported before it.
+ * For JSON, Markdown and HTML nothing is printed and the result is just returned.
+ */
+async function runStreaming(gitWhy, text, options, fn, heading = null) {
+  if (isBuffered(options)) {
+    return fn(undefined);
+  }
+  // Nothing to stream: a dry run prints the prompt, --owners a table
+  if (gitWhy.dryRun || options.owners) {
+    const stop = startSpinner(text, options);
+    let result;
+    try {
+      result = await fn(undefined);
+    } finally {
+      stop();
+    }
+    if (heading) console.log(heading);
+    console.log(gitWhy.formatOutput(result, options));
+    return result;
+  }
+
+  const stop = startSpinner(text, options);
+  let started = false;
+  let warnings = [];
+  const begin = () => {
+    if (started) return;
+    started = true;
+    stop();
+    if (heading) console.log(heading);
+    process.stdout.write(gitWhy.formatHeader(warnings));
+  };
+
+  try {
+    const result = await fn(chunk => {
+      begin();
+      process.stdout.write(chunk);
+    }, found => {
+      warnings = found;
+    });
+
+    if (!started) {
+      begin();
+      process.stdout.write(result.explanation);
+    }
+    process.stdout.write(gitWhy.formatFooter(result) + '\n');
+    return result;
+  } catch (error) {
+    stop();
+    if (started) process.stdout.write('\n');
+    throw error;
+  }
+}
+
+/**
+ * Interactive follow-up questions about a result
+ */
+async function runChat(gitWhy, result, options) {
+  const c = options.color === false ? new Chalk({ level: 0 }) : chalk;
+  const session = gitWhy.startChat(result);
+  const help = 'Commands: /commit <rev> (attach a full diff), /save <file>, /help, /exit';
+
+  console.log(c.gray(`Ask a follow-up question. ${help}`));
+  const rl = createInterface({ input: process.stdin, output: process.stdout, prompt: c.green('why> ') });
+  rl.prompt();
+
+  for await (const line of rl) {
+    const input = line.trim();
+    const [command, ...args] = input.split(/\s+/);
+
+    try {
+      if (!input) {
+        // Nothing to do
+      } else if (command === '/exit' || command === '/quit') {
+        break;
+      } else if (command === '/help') {
+        console.log(c.gray(help));
+      } else if (command === '/commit') {
+        if (!args[0]) throw new Error('Usage: /commit <rev>');
+        const attached = session.attachCommit(args[0]);
+        console.log(c.gray(`Attached ${attached.hash.substring(0, 8)} ${attached.summary} (${attached.lines} diff lines${attached.truncated ? ', truncated' : ''}). It will be sent with your next question.`));
+      } else if (command === '/save') {
+        if (!args[0]) throw new Error('Usage: /save <file>');
+        session.save(args.join(' '));
+        console.log(c.gray(`Transcript saved to ${args.join(' ')}`));
+      } else if (command.startsWith('/')) {
+        console.log(c.gray(`Unknown command ${command}. ${help}`));
+      } else {
+        const stop = startSpinner('Thinking', options);
+        let started = false;
+        try {
+          await session.ask(input, {
+            onChunk: chunk => {
+              if (!started) {
+                stop();
+                process.stdout.write('\n');
+                started = true;
+              }
+              process.stdout.write(chunk);
+            }
+          });
+        } finally {
+          stop();
+          if (started) process.stdout.write('\n\n');
+        }
+      }
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+    }
+
+    rl.prompt();
+  }
+
+  rl.close();
+
+  if (options.transcript) {
+    session.save(options.transcript);
+    console.log(c.gray(`Transcript saved to ${options.transcript}`));
+  }
+}
+
+/**
+ * Explain a commit, range or the staged changes and print it through
+ * formatOutput. Returns the result.
+ */
+async function explainChange(label, options, fn) {
+  try {
+    if (options.chat && isBuffered(options)) {
+      throw new Error('--chat cannot be used with --json or --format');
+    }
+    if (options.rev) {
+      throw new Error(`--rev only applies to files; use git-why commit or range for ${label}`);
+    }
+
+    const gitWhy = await createGitWhy(options);
+    const result = await runStreaming(gitWhy, `Analyzing ${label}`, options, onChunk => fn(gitWhy, onChunk));
+    if (isBuffered(options)) {
+      console.log(gitWhy.formatOutput(result, options));
+    }
+
+    if (options.chat) {
+      await runChat(gitWhy, result, options);
+    }
+    return result;
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
 program
   .name('git-why')
   .description('AI-powered git history explainer')
@@ -18,8 +288,35 @@ program
   .argument('[targets...]', 'file:line, file:start-end, or file (multiple files supported)')
   .option('-f, --function <name>', 'explain a specific function')
   .option('-v, --verbose', 'show detailed commit history')
+  .option('--history', 'follow every revision of the lines (git log -L) instead of a blame snapshot')
+  .option('--owners', 'show who owns the code, whether they still commit, and what their commits say they intended')
+  .option('--rev <rev>', 'explain the code as it was at a revision (tag, branch or commit) instead of the working tree')
+  .option('-C <path>', 'run as if git-why was started in <path>')
   .option('--json', 'output as JSON')
+  .addOption(new Option('--format <type>', 'output format').choices(['text', 'json', 'markdown', 'html']).default('text'))
+  .option('-p, --provider <name>', `AI provider (${PROVIDER_NAMES.join(', ')})`)
+  .option('-m, --model <name>', 'model to use with the selected provider')
   .option('--no-color', 'disable colors')
+  .option('--no-cache', 'ignore cached explanations and do not store new ones')
+  .option('--chat', 'ask follow-up questions after the explanation')
+  .option('--transcript <file>', 'save the --chat session to a file on exit')
+  .option('--no-issues', 'do not look up issues and pull requests referenced by commits')
+  .option('--deepen <n>', 'in a shallow clone, fetch n more commits of history when the code predates the clone', parseWhole('a positive number of commits'))
+  .option('--unshallow', 'in a shallow clone, fetch the full history when the code predates the clone')
+  .option('--dry-run', 'print the prompt that would be sent (after redaction) instead of calling the AI')
+  .option('--show-prompt', 'print each prompt to stderr, after redaction, as it is sent')
+  .option('--budget <tokens>', 'tokens of commit diffs to include in the prompt (default 6000)', parseWhole('a positive number of tokens'))
+  .option('--concurrency <n>', 'overlap the AI calls of up to n targets; git history is still read one target at a time (output is printed when each finishes)', parseWhole('a positive integer'), 1)
+  .hook('preAction', () => {
+    const dir = program.opts().C;
+    if (!dir) return;
+    try {
+      process.chdir(dir);
+    } catch {
+      console.error(chalk.red('Error:'), `Cannot change to directory ${dir}`);
+      process.exit(1);
+    }
+  })
   .action(async (targets, options) => {
     try {
       if (!targets || targets.length === 0) {
@@ -29,14 +326,13 @@ program
         console.error(chalk.gray('       git-why <file>'));
         console.error(chalk.gray('       git-why <file1> <file2> ...   (multiple files)'));
         console.error(chalk.gray('       git-why --function <name> <file>'));
+        console.error(chalk.gray('       git-why commit <rev>'));
+        console.error(chalk.gray('       git-why range <base>..<head>'));
+        console.error(chalk.gray('       git-why staged'));
         process.exit(1);
       }
 
-      const gitWhy = new GitWhy({
-        verbose: options.verbose,
-        json: options.json,
-        noColor: !options.color
-      });
+      const gitWhy = await createGitWhy(options);
 
       // Parse all targets
       const parsedTargets = targets.map(target => {
@@ -76,87 +372,396 @@ program
         throw new Error('--function option cannot be used with multiple files');
       }
 
-      const results = [];
-      
-      for (const [index, { filePath, lineNumber, endLine }] of parsedTargets.entries()) {
-        // Show spinner (unless JSON mode)
-        let spinner;
-        if (!options.json) {
-          const frames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
-          let i = 0;
-          const targetDesc = lineNumber 
-            ? (endLine ? `${filePath}:${lineNumber}-${endLine}` : `${filePath}:${lineNumber}`)
-            : filePath;
-          spinner = setInterval(() => {
-            process.stdout.write(`\r${chalk.cyan(frames[i++ % frames.length])} Analyzing ${targetDesc}...`);
-          }, 80);
+      if (options.chat && (parsedTargets.length > 1 || isBuffered(options))) {
+        throw new Error('--chat works with a single target and without --json or --format');
+      }
+
+      if (options.owners && (options.history || options.chat || ['markdown', 'html'].includes(options.format))) {
+        throw new Error('--owners cannot be used with --history, --chat or --format markdown/html');
+      }
+
+      const { concurrency } = options;
+      const multiple = parsedTargets.length > 1;
+      // One at a time, explanations stream straight to the terminal. In parallel
+      // they are buffered and printed in target order as they finish.
+      const streaming = concurrency === 1;
+      const c = options.color === false ? new Chalk({ level: 0 }) : chalk;
+
+      const describeTarget = ({ filePath, lineNumber, endLine }) => lineNumber
+        ? (endLine ? `${filePath}:${lineNumber}-${endLine}` : `${filePath}:${lineNumber}`)
+        : filePath;
+
+      const headingFor = ({ filePath, lineNumber, endLine }) => {
+        if (!multiple) return null;
+        const rangeDesc = lineNumber
+          ? (endLine ? `${lineNumber}-${endLine}` : `line ${lineNumber}`)
+          : 'entire file';
+        return c.magenta.bold(`\n━━━ ${filePath} (${rangeDesc}) ━━━\n`);
+      };
+
+      const reportError = ({ filePath, error }) => {
+        if (multiple) {
+          console.error(chalk.red(`Error in ${filePath}:`), error.message);
+          if (!isBuffered(options)) console.log('');
+        } else {
+          console.error(chalk.red('Error:'), error.message);
         }
+      };
 
-        try {
-          // Analyze
-          const result = await gitWhy.explain(filePath, {
-            lineNumber,
-            endLine,
-            functionName: options.function
-          });
+      const outcomes = new Array(parsedTargets.length);
+      let printed = 0;
+      let finished = 0;
+      let stopSpinner = streaming ? () => {} : startSpinner(`Analyzing ${parsedTargets.length} targets`, options);
 
-          // Clear spinner
-          if (spinner) {
-            clearInterval(spinner);
-            process.stdout.write('\r' + ' '.repeat(60) + '\r');
+      // Print every outcome whose predecessors have all been printed
+      const printReady = () => {
+        if (printed >= outcomes.length || !outcomes[printed]) return;
+        stopSpinner();
+        while (printed < outcomes.length && outcomes[printed]) {
+          const outcome = outcomes[printed++];
+          if (outcome.status === 'error') {
+            reportError(outcome);
+          } else if (!isBuffered(options)) {
+            const heading = headingFor(outcome);
+            if (heading) console.log(heading);
+            process.stdout.write(gitWhy.formatOutput(outcome.result, options) + '\n');
           }
+        }
+        if (finished < outcomes.length) {
+          stopSpinner = startSpinner(`Analyzing ${parsedTargets.length} targets (${finished}/${parsedTargets.length} done)`, options);
+        }
+      };
 
-          results.push({ filePath, lineNumber, endLine, result });
+      await mapPool(parsedTargets, concurrency, async (target) => {
+        const { filePath, lineNumber, endLine } = target;
+        const targetDesc = describeTarget(target);
+        const explain = (onChunk, onWarnings) => options.owners
+          ? findOwners(gitWhy, filePath, { lineNumber, endLine, functionName: options.function, rev: options.rev })
+          : gitWhy.explain(filePath, {
+              lineNumber,
+              endLine,
+              functionName: options.function,
+              history: options.history,
+              rev: options.rev,
+              onChunk,
+              onWarnings
+            });
+
+        try {
+          // Analyze (human mode prints as the explanation streams in)
+          const result = streaming
+            ? await runStreaming(gitWhy, `Analyzing ${targetDesc}`, options, explain, headingFor(target))
+            : await explain(undefined);
+          return { ...target, status: 'ok', result };
         } catch (error) {
-          if (spinner) {
-            clearInterval(spinner);
-            process.stdout.write('\r' + ' '.repeat(60) + '\r');
-          }
-          
-          // For multiple files, show error but continue
-          if (parsedTargets.length > 1) {
-            console.error(chalk.red(`Error in ${filePath}:`), error.message);
-            console.log('');
-          } else {
-            throw error;
+          if (streaming) reportError({ filePath, error });
+          return { ...target, status: 'error', error };
+        }
+      }, (index, outcome) => {
+        outcomes[index] = outcome;
+        finished++;
+        if (!streaming) printReady();
+      });
+      stopSpinner();
+
+      const failures = outcomes.filter(o => o.status === 'error').length;
+
+      // Human output was already printed while streaming
+      if (gitWhy.format === 'json') {
+        const output = outcomes.map(o => o.status === 'error'
+          ? {
+              file: o.filePath,
+              lineNumber: o.lineNumber,
+              endLine: o.endLine,
+              status: 'error',
+              error: o.error.message
+            }
+          : {
+              file: o.filePath,
+              lineNumber: o.lineNumber,
+              endLine: o.endLine,
+              status: 'ok',
+              ...gitWhy.serializeResult(o.result)
+            });
+        console.log(JSON.stringify(output, null, 2));
+      } else if (failures === outcomes.length && multiple) {
+        console.error(chalk.red('No results to display'));
+      } else if (isBuffered(options) && failures < outcomes.length) {
+        console.log(multiple
+          ? gitWhy.formatDocument(outcomes.map(o => ({
+              heading: describeTarget(o),
+              result: o.result,
+              error: o.error?.message
+            })))
+          : gitWhy.formatOutput(outcomes[0].result, options));
+      }
+
+      // 1 when nothing could be explained, 2 when only some targets failed
+      if (failures > 0) {
+        process.exit(failures === outcomes.length ? 1 : 2);
+      }
+
+      if (options.chat) {
+        await runChat(gitWhy, outcomes[0].result, options);
+      }
+
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('commit')
+  .description('explain what history a commit overrides')
+  .argument('<rev>', 'commit to explain')
+  .action((rev) => explainChange(rev, program.opts(), (gitWhy, onChunk) => gitWhy.explainCommit(rev, { onChunk })));
+
+program
+  .command('range')
+  .description('explain what history a range of commits overrides')
+  .argument('<range>', '<base>..<head> or <base>...<head>')
+  .action((range) => explainChange(range, program.opts(), (gitWhy, onChunk) => gitWhy.explainRange(range, { onChunk })));
+
+program
+  .command('staged')
+  .description('explain staged changes against the history they overwrite; exits 1 if one reverses earlier intent')
+  .action(async () => {
+    const result = await explainChange('staged changes', program.opts(), (gitWhy, onChunk) => gitWhy.explainStaged({ onChunk }));
+    if (result.warnings.length > 0) {
+      process.exit(1);
+    }
+  });
+
+program
+  .command('report')
+  .description('write Markdown or HTML docs explaining every function (or blame cluster) of the tracked files in a directory')
+  .argument('[dir]', 'directory to document', '.')
+  .option('-o, --out <dir>', 'where to write the report', 'docs/archaeology')
+  .option('--max-sections <n>', 'sections to explain per file', parseWhole('a positive integer'), 20)
+  .action(async (dir, commandOptions) => {
+    const options = program.opts();
+    try {
+      const format = options.format === 'html' ? 'html' : 'markdown';
+      if (!['text', 'markdown', 'html'].includes(options.format)) {
+        throw new Error('Reports are written as --format markdown or --format html');
+      }
+      const { maxSections } = commandOptions;
+      const { concurrency } = options;
+
+      if (options.dryRun) {
+        throw new Error('--dry-run cannot be used with report');
+      }
+      const gitWhy = await createGitWhy({ ...options, format });
+      if (!gitWhy.isGitRepo()) {
+        throw new Error('Not a git repository. Run git init first.');
+      }
+
+      let stop = startSpinner(`Explaining ${dir}`, {});
+      const report = await buildReport(gitWhy, dir, {
+        concurrency,
+        maxSections,
+        exclude: commandOptions.out,
+        onProgress: (done, total, path) => {
+          stop();
+          stop = startSpinner(`Explained ${done}/${total} sections (${path})`, {});
+        }
+      });
+      stop();
+
+      const written = writeReport(report, commandOptions.out, format);
+      const sections = report.files.flatMap(f => f.sections);
+      const failed = sections.filter(s => s.error).length + report.files.filter(f => f.error).length;
+
+      console.log(`Wrote ${written[0]} and ${written.length - 1} page${written.length === 2 ? '' : 's'} (${sections.length} sections${failed > 0 ? `, ${failed} failed` : ''})`);
+      if (failed > 0) {
+        process.exit(failed === sections.length + report.files.filter(f => f.error).length ? 1 : 2);
+      }
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('hotspots')
+  .description('rank files and functions by churn, authors, reverts and commit-message quality')
+  .argument('[path]', 'directory or file to analyze', '.')
+  .option('--since <date>', 'only count commits since a date (e.g. "6 months ago", 2024-01-01)')
+  .option('--limit <n>', 'files to list', parseWhole('a positive integer'), 10)
+  .option('--functions <n>', 'hottest functions to list per file (0 to skip)', parseWhole('a whole number', { min: 0 }), 5)
+  .option('--explain <n>', 'explain the hottest function of the top n files with AI', parseWhole('a whole number', { min: 0 }), 0)
+  .addOption(new Option('--sort <metric>', 'rank by').choices(HOTSPOT_SORTS).default('score'))
+  .action(async (path, commandOptions) => {
+    const options = program.opts();
+    try {
+      if (!['text', 'json'].includes(options.format)) {
+        throw new Error('Hotspots are printed as text or --json');
+      }
+      if (options.dryRun && commandOptions.explain > 0) {
+        throw new Error('--dry-run cannot be used with hotspots --explain');
+      }
+      const { concurrency } = options;
+
+      const gitWhy = await createGitWhy(options);
+      if (!gitWhy.isGitRepo()) {
+        throw new Error('Not a git repository. Run git init first.');
+      }
+
+      let stop = startSpinner(`Mining history of ${path}`, options);
+      const report = await findHotspots(gitWhy, path, {
+        since: commandOptions.since,
+        limit: commandOptions.limit,
+        functions: commandOptions.functions,
+        explain: commandOptions.explain,
+        sort: commandOptions.sort,
+        concurrency,
+        onProgress: (done, total, file) => {
+          stop();
+          stop = startSpinner(`Explained ${done}/${total} hotspots (${file})`, options);
+        }
+      });
+      stop();
+
+      if (isBuffered(options)) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+      }
+
+      const c = options.color ? chalk : new Chalk({ level: 0 });
+      const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+      const describe = (entry) => [
+        plural(entry.commits, 'commit'),
+        ...(entry.churn !== undefined ? [`+${entry.added} -${entry.removed}`] : []),
+        plural(entry.authors.length, 'author'),
+        ...(entry.reverts > 0 ? [plural(entry.reverts, 'revert')] : []),
+        `${entry.poorMessages} poorly explained`
+      ].join(', ');
+
+      console.log('');
+      console.log(c.blue.bold(`🔥 Hotspots in ${report.path}`) + c.gray(` (${plural(report.commits, 'commit')}${report.since ? ` since ${report.since}` : ''})`));
+      console.log(c.gray('─'.repeat(60)));
+      report.files.forEach((file, i) => {
+        console.log('');
+        console.log(c.white.bold(`${i + 1}. ${file.path}`) + c.yellow(`  score ${file.score}`));
+        console.log(c.gray(`   ${describe(file)}`));
+        if (file.owners.length > 0) {
+          console.log(c.gray(`   Owners: ${file.owners.map(o => `${o.author} ${Math.round(o.share * 100)}%`).join(', ')}`));
+        }
+        for (const fn of file.functions) {
+          console.log(`   ${c.cyan(fn.name)}` + c.gray(` (lines ${fn.startLine}-${fn.endLine}) ${describe(fn)}`) + c.yellow(`  score ${fn.score}`));
+          if (fn.explanation) {
+            console.log(fn.explanation.trim().split('\n').map(line => `     ${line}`).join('\n'));
+          } else if (fn.error) {
+            console.log(c.red(`     Could not explain: ${fn.error}`));
           }
         }
+      });
+      console.log('');
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('serve')
+  .description('keep git-why running for editors: JSON-RPC over localhost HTTP or stdio')
+  .option('--port <n>', 'HTTP port on 127.0.0.1 (0 picks a free one)', parseWhole('a port number from 0 to 65535', { min: 0, max: 65535 }), 7420)
+  .option('--stdio', 'read newline-delimited JSON-RPC requests on stdin, write responses to stdout')
+  .action(async (commandOptions) => {
+    const options = program.opts();
+    try {
+      const { port } = commandOptions;
+      if (options.dryRun) {
+        throw new Error('--dry-run cannot be used with serve');
       }
 
-      if (results.length === 0) {
-        console.error(chalk.red('No results to display'));
-        process.exit(1);
+      const gitWhy = await createGitWhy(options);
+      if (!gitWhy.isGitRepo()) {
+        throw new Error('Not a git repository. Run git init first.');
       }
+      const rpc = new RpcServer(gitWhy);
 
-      // Display results
+      if (commandOptions.stdio) {
+        // stdout carries the protocol; nothing else may be printed there
+        await serveStdio(rpc);
+        return;
+      }
+
+      const server = createHttpServer(rpc);
+      server.on('error', (error) => {
+        console.error(chalk.red('Error:'), error.message);
+        process.exit(1);
+      });
+      server.listen(port, '127.0.0.1', () => {
+        console.error(`git-why listening on http://127.0.0.1:${server.address().port}/rpc`);
+      });
+      process.once('SIGINT', () => {
+        rpc.cancelAll();
+        server.close();
+        server.closeAllConnections();
+      });
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('config')
+  .description('show the merged configuration and the files it came from')
+  .action(async () => {
+    const options = program.opts();
+    try {
+      const { config, sources, skipped } = await loadConfig();
       if (options.json) {
-        const output = results.map(r => ({
-          file: r.filePath,
-          lineNumber: r.lineNumber,
-          endLine: r.endLine,
-          explanation: r.result.explanation,
-          commits: r.result.commits.map(c => ({
-            hash: c.hash,
-            author: c.author,
-            date: new Date(c.timestamp * 1000).toISOString(),
-            message: c.message
-          }))
-        }));
-        console.log(JSON.stringify(output, null, 2));
+        console.log(JSON.stringify({ config, sources, skipped }, null, 2));
       } else {
-        for (const [index, { filePath, lineNumber, endLine, result }] of results.entries()) {
-          if (results.length > 1) {
-            const c = options.color === false ? (x) => x : chalk;
-            const targetDesc = lineNumber 
-              ? (endLine ? `${lineNumber}-${endLine}` : `line ${lineNumber}`)
-              : 'entire file';
-            console.log(c.magenta.bold(`\n━━━ ${filePath} (${targetDesc}) ━━━\n`));
-          }
-          const output = gitWhy.formatOutput(result, options);
-          console.log(output);
+        console.log(sources.length > 0 ? `Read: ${sources.join(', ')}` : 'No config files found (.gitwhyrc, git-why.config.js)');
+        if (skipped.length > 0) {
+          console.log(`Skipped (untrusted; git config gitwhy.trustConfig true runs them): ${skipped.join(', ')}`);
         }
+        console.log(JSON.stringify(config, null, 2));
+      }
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('cache')
+  .description('manage cached explanations in .git/git-why/cache')
+  .argument('<action>', 'clear or stats')
+  .action((action) => {
+    const options = program.opts();
+    try {
+      const gitWhy = new GitWhy();
+      if (!gitWhy.isGitRepo()) {
+        throw new Error('Not a git repository. Run git init first.');
       }
+      const cache = gitWhy.getCache();
 
+      if (action === 'clear') {
+        const removed = cache.clear();
+        console.log(options.json ? JSON.stringify({ removed }) : `Removed ${removed} cached explanation${removed === 1 ? '' : 's'}`);
+      } else if (action === 'stats') {
+        const stats = cache.stats();
+        if (options.json) {
+          console.log(JSON.stringify(stats, null, 2));
+        } else {
+          console.log(`Cache:   ${stats.dir}`);
+          console.log(`Entries: ${stats.entries}`);
+          console.log(`Size:    ${(stats.bytes / 1024).toFixed(1)} KB`);
+          if (stats.entries > 0) {
+            console.log(`Oldest:  ${stats.oldest.toISOString()}`);
+            console.log(`Newest:  ${stats.newest.toISOString()}`);
+          }
+        }
+      } else {
+        throw new Error(`Unknown cache action "${action}". Use clear or stats.`);
+      }
     } catch (error) {
       console.error(chalk.red('Error:'), error.message);
       process.exit(1);
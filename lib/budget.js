@@ -0,0 +1,151 @@
+import { parseDiff } from './diff.js';
+
+const LOCK_FILES = /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|bun\.lockb|Cargo\.lock|Gemfile\.lock|poetry\.lock|Pipfile\.lock|composer\.lock|go\.sum|[^/]+\.lock)$/;
+const GENERATED_FILES = /(^|\/)(dist|build|out|vendor|node_modules|__generated__|generated)\/|\.min\.(js|css)$|\.map$|\.snap$|\.pb\.go$|_pb2\.py$|[._]generated\.[^/]+$/;
+
+// Relevance tiers, most relevant first
+const TIERS = ['target', 'file', 'other', 'generated'];
+const REASONS = { target: 'target lines', file: 'outside target lines', other: 'other file' };
+
+/**
+ * Rough token count: about four characters per token for code and English
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * 'lock' for dependency lock files, 'generated' for build output and other
+ * machine-written files, null for everything else
+ */
+export function classifyPath(path) {
+  if (LOCK_FILES.test(path)) return 'lock';
+  if (GENERATED_FILES.test(path)) return 'generated';
+  return null;
+}
+
+/**
+ * Pick the diff hunks worth showing for each commit within a token budget.
+ *
+ * targets maps a commit hash to the places it touched the code being
+ * explained: [{ file, lines }] in that commit's version of the file. Hunks
+ * overlapping those lines are added first, then the rest of the same file,
+ * then other files, with lock and generated files last. Binary files are
+ * never included.
+ *
+ * Returns { excerpts: Map(hash -> diff text), trimmed, used } where trimmed
+ * lists, per commit, the files and lines left out and what kind they were.
+ */
+export function selectDiffs(commits, { budget, targets = new Map() }) {
+  const candidates = [];
+  const trimmed = new Map();
+  const noteTrimmed = (hash, file, reason, hunks = 1, lines = 0) => {
+    const entries = trimmed.get(hash) || [];
+    const existing = entries.find(e => e.file === file && e.reason === reason);
+    if (existing) {
+      existing.hunks += hunks;
+      existing.lines += lines;
+    } else {
+      entries.push({ file, reason, hunks, lines });
+    }
+    trimmed.set(hash, entries);
+  };
+
+  commits.forEach((commit, commitIndex) => {
+    const places = targets.get(commit.hash) || [];
+    const targetFiles = new Set(places.map(p => p.file));
+
+    parseDiff(commit.diff || '').forEach((file, fileIndex) => {
+      const path = file.newPath || file.oldPath;
+      if (file.binary) {
+        noteTrimmed(commit.hash, path, 'binary', 0);
+        return;
+      }
+
+      const generated = classifyPath(path);
+      file.hunks.forEach((hunk, hunkIndex) => {
+        const first = hunk.newStart;
+        const last = hunk.newStart + Math.max(hunk.newCount, 1) - 1;
+        const overlaps = places.some(p => p.file === path && p.lines.some(line => line >= first && line <= last));
+
+        const tier = overlaps ? 'target'
+          : targetFiles.has(path) ? 'file'
+            : generated ? 'generated'
+              : 'other';
+
+        candidates.push({
+          hash: commit.hash,
+          path,
+          header: `diff --git a/${file.oldPath || path} b/${path}`,
+          hunk,
+          tier,
+          reason: REASONS[tier] || `${generated} file`,
+          order: [TIERS.indexOf(tier), commitIndex, fileIndex, hunkIndex],
+          tokens: estimateTokens(hunk.lines.join('\n'))
+        });
+      });
+    });
+  });
+
+  // Most relevant first; within a tier, keep commit and diff order
+  const ranked = [...candidates].sort((a, b) => {
+    for (let i = 0; i < a.order.length; i++) {
+      if (a.order[i] !== b.order[i]) return a.order[i] - b.order[i];
+    }
+    return 0;
+  });
+
+  let used = 0;
+  for (const candidate of ranked) {
+    const remaining = budget - used;
+    if (candidate.tokens <= remaining) {
+      candidate.lines = candidate.hunk.lines;
+      used += candidate.tokens;
+    } else if (candidate.tier === 'target' && remaining > 0) {
+      // The hunk that wrote the target lines is worth showing in part
+      const lines = [];
+      let tokens = 0;
+      for (const line of candidate.hunk.lines) {
+        const cost = estimateTokens(line + '\n');
+        if (tokens + cost > remaining) break;
+        lines.push(line);
+        tokens += cost;
+      }
+      if (lines.length > 1) {
+        candidate.lines = lines;
+        used += tokens;
+        noteTrimmed(candidate.hash, candidate.path, candidate.reason, 0, candidate.hunk.lines.length - lines.length);
+      } else {
+        noteTrimmed(candidate.hash, candidate.path, candidate.reason, 1, candidate.hunk.lines.length);
+      }
+    } else {
+      noteTrimmed(candidate.hash, candidate.path, candidate.reason, 1, candidate.hunk.lines.length);
+    }
+  }
+
+  const excerpts = new Map();
+  for (const commit of commits) {
+    const text = [];
+    let header = null;
+    for (const candidate of candidates) {
+      if (candidate.hash !== commit.hash || !candidate.lines) continue;
+      if (candidate.header !== header) {
+        header = candidate.header;
+        text.push(header);
+      }
+      text.push(...candidate.lines);
+      if (candidate.lines !== candidate.hunk.lines) {
+        text.push(`... ${candidate.hunk.lines.length - candidate.lines.length} more lines`);
+      }
+    }
+    excerpts.set(commit.hash, text.join('\n'));
+  }
+
+  return {
+    excerpts,
+    used,
+    trimmed: commits
+      .filter(commit => trimmed.has(commit.hash))
+      .map(commit => ({ hash: commit.hash, omitted: trimmed.get(commit.hash) }))
+  };
+}
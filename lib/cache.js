@@ -0,0 +1,90 @@
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readdirSync, readFileSync, renameSync, statSync, unlinkSync, writeFileSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * On-disk cache of explanations, one JSON file per target.
+ *
+ * Entries are named <slot>-<key>.json: the slot identifies the target (file,
+ * range, mode) and the key everything the answer depends on (blame commits,
+ * code, prompt version, model). Writing a new key for a slot drops the old
+ * entries, so a target whose blame changed is invalidated on the next run.
+ */
+export class ExplanationCache {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  static hash(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return createHash('sha256').update(text).digest('hex');
+  }
+
+  entryPath(slot, key) {
+    return join(this.dir, `${slot}-${key}.json`);
+  }
+
+  entries() {
+    if (!existsSync(this.dir)) return [];
+    return readdirSync(this.dir).filter(name => name.endsWith('.json'));
+  }
+
+  /**
+   * Get a cached value, or null on a miss (or an unreadable entry)
+   */
+  get(slot, key) {
+    const path = this.entryPath(slot, key);
+    if (!existsSync(path)) return null;
+
+    try {
+      return JSON.parse(readFileSync(path, 'utf-8')).value;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Store a value, replacing any stale entries for the same slot
+   */
+  set(slot, key, value) {
+    mkdirSync(this.dir, { recursive: true });
+
+    for (const name of this.entries()) {
+      if (name.startsWith(`${slot}-`)) {
+        unlinkSync(join(this.dir, name));
+      }
+    }
+
+    const path = this.entryPath(slot, key);
+    const tmp = `${path}.${process.pid}.tmp`;
+    writeFileSync(tmp, JSON.stringify({ createdAt: new Date().toISOString(), value }));
+    renameSync(tmp, path);
+  }
+
+  /**
+   * Remove every entry. Returns how many were removed.
+   */
+  clear() {
+    const names = this.entries();
+    for (const name of names) {
+      unlinkSync(join(this.dir, name));
+    }
+    return names.length;
+  }
+
+  stats() {
+    let bytes = 0;
+    let oldest = null;
+    let newest = null;
+
+    const names = this.entries();
+    for (const name of names) {
+      const stat = statSync(join(this.dir, name));
+      bytes += stat.size;
+      if (!oldest || stat.mtime < oldest) oldest = stat.mtime;
+      if (!newest || stat.mtime > newest) newest = stat.mtime;
+    }
+
+    return { dir: this.dir, entries: names.length, bytes, oldest, newest };
+  }
+}
@@ -0,0 +1,86 @@
+import { writeFileSync } from 'fs';
+
+const MAX_ATTACHED_DIFF_LINES = 400;
+
+/**
+ * Follow-up conversation about an explanation.
+ *
+ * Keeps the original analysis prompt and every exchange, so questions can
+ * build on the gathered git history without collecting it again.
+ */
+export class ChatSession {
+  constructor(gitWhy, result, prompt) {
+    this.gitWhy = gitWhy;
+    this.result = result;
+    this.messages = [
+      { role: 'user', content: prompt },
+      { role: 'assistant', content: result.explanation }
+    ];
+    this.pending = [];
+    this.log = [{ type: 'answer', text: result.explanation }];
+  }
+
+  /**
+   * Queue the full diff of another commit; it is sent with the next question
+   */
+  attachCommit(rev) {
+    const hash = this.gitWhy.resolveRev(rev);
+    const details = this.gitWhy.getCommitDetails(hash);
+    const diff = details.diff.split('\n');
+    const truncated = diff.length > MAX_ATTACHED_DIFF_LINES;
+
+    this.pending.push(`Additional commit ${hash.substring(0, 8)}:
+Message: ${details.message}
+
+Full diff:
+\`\`\`
+${diff.slice(0, MAX_ATTACHED_DIFF_LINES).join('\n')}${truncated ? `\n... ${diff.length - MAX_ATTACHED_DIFF_LINES} more lines` : ''}
+\`\`\``);
+
+    const summary = details.message.split('\n')[0];
+    this.log.push({ type: 'commit', text: `${hash.substring(0, 8)} ${summary}` });
+    return { hash, summary, lines: diff.length, truncated };
+  }
+
+  /**
+   * Ask a follow-up question. Pass onChunk to stream the answer.
+   */
+  async ask(question, options = {}) {
+    const content = [...this.pending, question].join('\n\n');
+    const messages = [...this.messages, { role: 'user', content }];
+    const answer = await this.gitWhy.converse(messages, options);
+
+    this.messages = [...messages, { role: 'assistant', content: answer }];
+    this.pending = [];
+    this.log.push({ type: 'question', text: question }, { type: 'answer', text: answer });
+    return answer;
+  }
+
+  /**
+   * Markdown transcript of the session
+   */
+  transcript() {
+    const context = this.result.context || {};
+    const target = this.result.change
+      ? this.result.change.label
+      : context.functionName
+        ? `${context.file} (${context.functionName})`
+        : context.lineNumber ? `${context.file}:${context.lineNumber}` : context.file;
+
+    const lines = [`# git-why session: ${target}`, ''];
+    for (const entry of this.log) {
+      if (entry.type === 'question') {
+        lines.push(`## > ${entry.text}`, '');
+      } else if (entry.type === 'commit') {
+        lines.push(`_Attached commit ${entry.text}_`, '');
+      } else {
+        lines.push(entry.text, '');
+      }
+    }
+    return lines.join('\n');
+  }
+
+  save(path) {
+    writeFileSync(path, this.transcript());
+  }
+}
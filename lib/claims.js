@@ -0,0 +1,102 @@
+/**
+ * Claims, citations and confidence in an explanation.
+ *
+ * The prompts ask the model to end each sentence drawn from the history
+ * with the commits that support it, e.g. [a1b2c3d4] or
+ * [a1b2c3d4, 9f8e7d6c], to tag its own inferences [speculative], and to
+ * finish with a "Confidence: high|medium|low" line. The explanation stays
+ * plain text (so it streams as it arrives); this reads the tags back.
+ */
+
+export const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+export const CITATION_INSTRUCTIONS = `Cite your sources: end every sentence that relies on the history with the short hashes of the commits that support it in square brackets, e.g. [a1b2c3d4] or [a1b2c3d4, 9f8e7d6c]. Only cite commits shown above. End sentences that are your own inference, not stated in any commit, with [speculative].
+Finish with a line "Confidence: high", "Confidence: medium" or "Confidence: low", for how well the commits explain the code.`;
+
+const HASH = /^[0-9a-f]{7,40}$/i;
+// [..] tags, but not Markdown links
+const TAG = /\[([^\]\n]*)\](?!\()/g;
+// After . ! or ? and any tags that follow it, unless another tag comes next
+const SENTENCE_END = /(?<=[.!?](?:\s*\[[^\]\n]*\])*)\s+(?=[^\s[])/;
+const CONFIDENCE = /^[\s>*_-]*Confidence:?[*_]*:?\s*[*_]*(high|medium|low)\b/i;
+
+/**
+ * Split an explanation into claims and check their citations against the
+ * commits the model was shown.
+ *
+ * Returns { claims, confidence, unverifiedCitations }. Each claim is { text,
+ * citations: [{ hash, verified }], speculative }; a claim is speculative
+ * when the model tagged it so or none of its citations checks out.
+ * Verified citations carry the full hash. unverifiedCitations lists the
+ * hashes cited that aren't among commits. confidence is null if the
+ * model gave none.
+ */
+export function parseClaims(explanation, commits) {
+  const known = commits.map(c => c.hash);
+  const claims = [];
+  const unverified = new Set();
+  let confidence = null;
+  let paragraph = [];
+  let inCode = false;
+
+  const flush = () => {
+    for (const sentence of paragraph.join(' ').split(SENTENCE_END)) {
+      const claim = parseSentence(sentence, known);
+      if (!claim) continue;
+      claim.citations.filter(c => !c.verified).forEach(c => unverified.add(c.hash));
+      claims.push(claim);
+    }
+    paragraph = [];
+  };
+
+  for (const line of explanation.split('\n')) {
+    if (line.trim().startsWith('```')) {
+      flush();
+      inCode = !inCode;
+      continue;
+    }
+    if (inCode) continue;
+
+    const level = line.match(CONFIDENCE);
+    if (level) {
+      flush();
+      confidence = level[1].toLowerCase();
+      continue;
+    }
+
+    // Blank lines, headings and list items each start a new claim
+    const item = line.match(/^\s*(?:[-*]|\d+[.)])\s+(.*)$/);
+    if (!line.trim() || item || /^\s*#/.test(line)) flush();
+    if (/^\s*#/.test(line)) continue;
+    if (line.trim()) paragraph.push(item ? item[1].trim() : line.trim());
+  }
+  flush();
+
+  return { claims, confidence, unverifiedCitations: [...unverified] };
+}
+
+function parseSentence(sentence, known) {
+  const citations = [];
+  let marked = false;
+
+  const text = sentence.replace(TAG, (tag, inner) => {
+    const parts = inner.split(/[,\s]+/).filter(Boolean);
+    const isCitation = parts.length > 0 && parts.every(part => HASH.test(part) || /^speculative$/i.test(part));
+    if (!isCitation) return tag;
+
+    for (const part of parts) {
+      if (/^speculative$/i.test(part)) {
+        marked = true;
+        continue;
+      }
+      const hash = known.find(h => h.startsWith(part.toLowerCase()));
+      if (!citations.some(c => c.hash === (hash || part))) {
+        citations.push({ hash: hash || part, verified: Boolean(hash) });
+      }
+    }
+    return '';
+  }).replace(/\s+([.!?,;:])/g, '$1').replace(/\s+/g, ' ').trim();
+
+  if (!/[a-z0-9]/i.test(text)) return null;
+  return { text, citations, speculative: marked || !citations.some(c => c.verified) };
+}
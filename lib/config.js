@@ -0,0 +1,251 @@
+import { existsSync, readFileSync } from 'fs';
+import { homedir } from 'os';
+import { dirname, join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { runGit } from './git.js';
+
+export const CONFIG_FILES = ['.gitwhyrc', 'git-why.config.js'];
+
+export const DEFAULT_CONFIG = {
+  provider: null,
+  model: null,
+  maxCommits: 5,
+  contextLines: 5,
+  diffBudget: 6000,
+  issues: true,
+  ignore: {
+    revs: [],
+    revsFile: null,
+    messages: [],
+    authors: []
+  },
+  redact: {
+    patterns: [],
+    paths: []
+  }
+};
+
+const NUMBER_KEYS = ['maxCommits', 'contextLines', 'diffBudget'];
+const STRING_KEYS = ['provider', 'model'];
+const IGNORE_KEYS = ['revs', 'messages', 'authors'];
+const REDACT_KEYS = ['patterns', 'paths'];
+
+/**
+ * Load and merge configuration: defaults, then the home directory, then
+ * the repository root. In each directory .gitwhyrc (JSON) is read before
+ * git-why.config.js (a module whose default export is the config).
+ * Ignore and redact lists are concatenated; every other key is replaced.
+ *
+ * A git-why.config.js at the repository root is code from whoever wrote
+ * the repository, so it only runs when trusted: options.trust, or
+ * `git config gitwhy.trustConfig true` (git config never comes with a
+ * clone). Otherwise it is skipped.
+ *
+ * Issue trackers are not part of this config: they stay in git config
+ * (see loadTrackers in lib/references.js), so a cloned repository can't
+ * point them, and the tokens sent with them, at another server.
+ *
+ * Returns { config, sources, skipped } where sources lists the files that
+ * were read and skipped the untrusted scripts that weren't.
+ */
+export async function loadConfig(options = {}) {
+  const home = options.home ?? homedir();
+  const root = options.root === undefined ? repoRoot() : options.root;
+  const trust = options.trust ?? trustsRepoConfig();
+
+  const dirs = [home, root].filter((dir, i, all) => dir && all.indexOf(dir) === i);
+  let config = DEFAULT_CONFIG;
+  const sources = [];
+  const skipped = [];
+
+  for (const dir of dirs) {
+    for (const name of CONFIG_FILES) {
+      const path = join(dir, name);
+      if (!existsSync(path)) continue;
+
+      const script = name.endsWith('.js');
+      if (script && dir !== home && !trust) {
+        skipped.push(path);
+        continue;
+      }
+
+      const values = script ? await importConfig(path) : readRc(path);
+      validateConfig(values, path);
+      if (dir === root) validateRevs(values, path);
+      config = mergeConfig(config, values, dir);
+      sources.push(path);
+    }
+  }
+
+  return { config, sources, skipped };
+}
+
+/**
+ * Merge overrides into a config. Relative revsFile paths are resolved
+ * against baseDir (the directory of the file they came from).
+ */
+export function mergeConfig(config, overrides, baseDir = null) {
+  const merged = { ...config, ignore: { ...config.ignore }, redact: { ...config.redact } };
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value === undefined) continue;
+
+    if (key === 'ignore') {
+      for (const listKey of IGNORE_KEYS) {
+        if (value[listKey]) merged.ignore[listKey] = [...merged.ignore[listKey], ...value[listKey]];
+      }
+      if (value.revsFile !== undefined) {
+        merged.ignore.revsFile = value.revsFile && baseDir ? resolve(baseDir, value.revsFile) : value.revsFile;
+      }
+    } else if (key === 'redact') {
+      for (const listKey of REDACT_KEYS) {
+        if (value[listKey]) merged.redact[listKey] = [...merged.redact[listKey], ...value[listKey]];
+      }
+    } else {
+      merged[key] = value;
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Check a config object's keys and types; path is used in error messages
+ * and to resolve ignore.revsFile
+ */
+export function validateConfig(values, path) {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error(`Invalid config in ${path}: expected an object`);
+  }
+
+  for (const [key, value] of Object.entries(values)) {
+    if (NUMBER_KEYS.includes(key)) {
+      if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`Invalid config in ${path}: ${key} must be a positive integer`);
+      }
+    } else if (STRING_KEYS.includes(key)) {
+      if (value !== null && typeof value !== 'string') {
+        throw new Error(`Invalid config in ${path}: ${key} must be a string`);
+      }
+    } else if (key === 'issues') {
+      if (typeof value !== 'boolean') {
+        throw new Error(`Invalid config in ${path}: issues must be true or false`);
+      }
+    } else if (key === 'ignore') {
+      validateIgnore(value, path);
+    } else if (key === 'redact') {
+      validateRedact(value, path);
+    } else if (key === 'trackers') {
+      throw new Error(`Unknown option "trackers" in ${path}: issue trackers are set with git config (gitwhy.trackers)`);
+    } else {
+      throw new Error(`Unknown option "${key}" in ${path}`);
+    }
+  }
+
+  return values;
+}
+
+function validateIgnore(ignore, path) {
+  if (!ignore || typeof ignore !== 'object' || Array.isArray(ignore)) {
+    throw new Error(`Invalid config in ${path}: ignore must be an object`);
+  }
+
+  for (const [key, value] of Object.entries(ignore)) {
+    if (key === 'revsFile') {
+      if (value !== null && typeof value !== 'string') {
+        throw new Error(`Invalid config in ${path}: ignore.revsFile must be a path`);
+      }
+      if (value && !existsSync(resolve(dirname(path), value))) {
+        throw new Error(`Invalid config in ${path}: ignore.revsFile ${value} not found`);
+      }
+    } else if (IGNORE_KEYS.includes(key)) {
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        throw new Error(`Invalid config in ${path}: ignore.${key} must be a list of strings`);
+      }
+      if (key === 'revs') {
+        const bad = value.find(rev => !/^[0-9a-f]{7,40}$/i.test(rev));
+        if (bad !== undefined) {
+          throw new Error(`Invalid config in ${path}: ignore.revs entry ${bad} is not a commit hash`);
+        }
+      } else {
+        for (const pattern of value) {
+          try {
+            new RegExp(pattern, 'i');
+          } catch (error) {
+            throw new Error(`Invalid config in ${path}: ignore.${key} pattern ${pattern}: ${error.message}`);
+          }
+        }
+      }
+    } else {
+      throw new Error(`Unknown option "ignore.${key}" in ${path}`);
+    }
+  }
+}
+
+function validateRedact(redact, path) {
+  if (!redact || typeof redact !== 'object' || Array.isArray(redact)) {
+    throw new Error(`Invalid config in ${path}: redact must be an object`);
+  }
+
+  for (const [key, value] of Object.entries(redact)) {
+    if (!REDACT_KEYS.includes(key)) {
+      throw new Error(`Unknown option "redact.${key}" in ${path}`);
+    }
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+      throw new Error(`Invalid config in ${path}: redact.${key} must be a list of strings`);
+    }
+    if (key === 'patterns') {
+      for (const pattern of value) {
+        try {
+          new RegExp(pattern, 'gi');
+        } catch (error) {
+          throw new Error(`Invalid config in ${path}: redact.patterns pattern ${pattern}: ${error.message}`);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * ignore.revs in the repository's own config must be commits of the
+ * repository (git blame fails on any it can't find). Revs from the home
+ * config may belong to other repositories; those are skipped at blame time.
+ */
+function validateRevs(values, path) {
+  for (const rev of values.ignore?.revs || []) {
+    try {
+      runGit(['rev-parse', '--verify', '--quiet', `${rev}^{commit}`], { cwd: dirname(path) });
+    } catch {
+      throw new Error(`Invalid config in ${path}: ignore.revs entry ${rev} is not a commit in this repository`);
+    }
+  }
+}
+
+function trustsRepoConfig() {
+  try {
+    return runGit(['config', '--bool', 'gitwhy.trustConfig']).trim() === 'true';
+  } catch {
+    return false;
+  }
+}
+
+function readRc(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Invalid config in ${path}: ${error.message}`);
+  }
+}
+
+async function importConfig(path) {
+  const module = await import(pathToFileURL(path).href);
+  return module.default;
+}
+
+function repoRoot() {
+  try {
+    return runGit(['rev-parse', '--show-toplevel']).trim();
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * Parse unified diff output (git diff / git show) into files and hunks.
+ *
+ * Each file has oldPath/newPath (null for /dev/null), a binary flag, and
+ * hunks with old/new line ranges plus the removed, added and raw lines.
+ */
+export function parseDiff(output) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+
+  for (const line of output.split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      file = { oldPath: null, newPath: null, binary: false, hunks: [], header: [line] };
+      hunk = null;
+      files.push(file);
+      continue;
+    }
+    if (!file) continue;
+
+    if (!hunk) {
+      if (line.startsWith('--- ')) {
+        file.oldPath = parsePath(line.substring(4));
+      } else if (line.startsWith('+++ ')) {
+        file.newPath = parsePath(line.substring(4));
+      } else if (line.startsWith('rename from ')) {
+        file.oldPath = unquote(line.substring(12));
+      } else if (line.startsWith('rename to ')) {
+        file.newPath = unquote(line.substring(10));
+      } else if (line.startsWith('Binary files ')) {
+        file.binary = true;
+      }
+    }
+
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)/);
+    if (header) {
+      hunk = {
+        oldStart: parseInt(header[1]),
+        oldCount: header[2] === undefined ? 1 : parseInt(header[2]),
+        newStart: parseInt(header[3]),
+        newCount: header[4] === undefined ? 1 : parseInt(header[4]),
+        section: header[5].trim(),
+        removed: [],
+        added: [],
+        lines: [line]
+      };
+      file.hunks.push(hunk);
+      continue;
+    }
+
+    if (hunk) {
+      if (line.startsWith('-')) hunk.removed.push(line.substring(1));
+      else if (line.startsWith('+')) hunk.added.push(line.substring(1));
+      if (line.startsWith('-') || line.startsWith('+') || line.startsWith(' ') || line.startsWith('\\')) {
+        hunk.lines.push(line);
+      }
+    } else {
+      file.header.push(line);
+    }
+  }
+
+  // Files without ---/+++ lines (pure renames, mode changes) still have paths in the header
+  for (const f of files) {
+    if (!f.oldPath && !f.newPath) {
+      const paths = f.header[0].match(/^diff --git a\/(.+) b\/(.+)$/);
+      if (paths) {
+        f.oldPath = paths[1];
+        f.newPath = paths[2];
+      }
+    }
+  }
+
+  return files;
+}
+
+function parsePath(raw) {
+  const path = unquote(raw.replace(/\t.*$/, ''));
+  if (path === '/dev/null') return null;
+  return path.replace(/^[ab]\//, '');
+}
+
+function unquote(path) {
+  if (!path.startsWith('"')) return path;
+  try {
+    return JSON.parse(path);
+  } catch {
+    return path.slice(1, -1);
+  }
+}
@@ -1,55 +1,742 @@
-import { execSync } from 'child_process';
-import Anthropic from '@anthropic-ai/sdk';
-import chalk from 'chalk';
-import { existsSync, readFileSync } from 'fs';
-import { resolve } from 'path';
+import chalk, { Chalk } from 'chalk';
+import { appendFileSync, existsSync, mkdirSync, readFileSync, statSync } from 'fs';
+import { homedir } from 'os';
+import { isAbsolute, join, relative, resolve } from 'path';
+import { selectDiffs } from './budget.js';
+import { ExplanationCache } from './cache.js';
+import { CITATION_INSTRUCTIONS, parseClaims } from './claims.js';
+import { DEFAULT_CONFIG } from './config.js';
+import { ChatSession } from './chat.js';
+import { parseDiff } from './diff.js';
+import { DEFAULT_MAX_BUFFER, DEFAULT_TIMEOUT, gitSucceeds, runGit, streamGitRecords } from './git.js';
+import { createProvider, detectProvider, DEFAULT_MODELS } from './providers.js';
+import { Redactor } from './redact.js';
+import { formatRelation, traceRelations } from './relations.js';
+import { extractReferences, loadTrackers } from './references.js';
+import { renderHtml, renderMarkdown } from './render.js';
+import { parseSections, sectionHeading } from './sections.js';
+import { detectLanguage, findSymbols, locateSymbol, symbolAtLine } from './symbols.js';
+
+// Bump whenever buildPrompt changes, so cached explanations are regenerated
+export const PROMPT_VERSION = 11;
+
+const MAX_LINEAGE_DEPTH = 10;
+const TIMELINE_WINDOW = 24 * 60 * 60;
+const MAX_CHANGE_HUNKS = 50;
+const MAX_REFERENCES = 5;
+const MAX_REFERENCE_BODY = 1000;
+const MAX_BRANCH_COMMITS = 20;
+const MAX_IGNORE_ROUNDS = 3;
+const MIN_CLUSTER_LINES = 3;
+const MAX_CLUSTER_SECTIONS = 12;
+const MAX_FILE_SECTIONS = 20;
+const MAX_SECTION_OWNERS = 3;
+const SECTION_PREVIEW_LINES = 3;
+// Commits of a whole file's log checked for inferred fixes
+const MAX_RELATION_LOG = 200;
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+// What git blame reports for lines that only exist in the working tree
+const UNCOMMITTED = '0000000000000000000000000000000000000000';
+const MAX_RATE_LIMIT_RETRIES = 3;
+const RATE_LIMIT_BASE_DELAY = 1000;
+const MAX_RETRY_DELAY = 60 * 1000;
+// Fetching history can take much longer than a local git command
+const DEEPEN_TIMEOUT = 10 * 60 * 1000;
+// What a cache hit needs of the analysis context: the target, for headings
+const CACHED_CONTEXT = ['file', 'lineNumber', 'endLine', 'functionName', 'rev', 'skippedSections'];
+const WITHHELD = '[withheld: this file is on the redaction deny-list]';
+
+function normalizeLine(line) {
+  return line.replace(/\s+/g, ' ').trim();
+}
+
+function formatDate(timestamp) {
+  return new Date(timestamp * 1000).toISOString().split('T')[0];
+}
+
+function formatDateSpan(start, end) {
+  const from = formatDate(start);
+  const to = formatDate(end);
+  return from === to ? from : `${from}..${to}`;
+}
+
+function formatLineRanges(lines) {
+  const sorted = [...lines].sort((a, b) => a - b);
+  const ranges = [];
+  for (const line of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && line === last[1] + 1) {
+      last[1] = line;
+    } else {
+      ranges.push([line, line]);
+    }
+  }
+  return ranges.map(([a, b]) => (a === b ? `${a}` : `${a}-${b}`)).join(', ');
+}
+
+/**
+ * Lineage groups whose lines were moved, renamed or copied on the way here
+ */
+function movedLineage(lineage, file) {
+  return (lineage || []).filter(group =>
+    group.chain.length > 1 || group.chain.some(hop => hop.filename && hop.filename !== file)
+  );
+}
+
+/**
+ * Prompt notes on moved code, local edits and a truncated history
+ */
+function formatHistoryNotes({ file, lineage, uncommitted = [], boundary = [], chains = [], historyWarnings = [] }) {
+  const moved = movedLineage(lineage, file);
+  const lineageInfo = moved.length === 0 ? '' : `
+Line ancestry (newest first; the last commit in each chain introduced the code, earlier ones only moved/renamed/copied it):
+${moved.map(group => `- Lines ${formatLineRanges(group.lines)}: ` + group.chain.map(hop =>
+  `${hop.kind} in ${hop.hash.substring(0, 8)} (${hop.filename}:${hop.line}) "${hop.summary}"`
+).join(' <- ')).join('\n')}
+`;
+  const uncommittedInfo = uncommitted.length === 0 ? '' : `
+Not committed yet: line${uncommitted.length === 1 ? '' : 's'} ${formatLineRanges(uncommitted)} (local edits with no history; explain the committed code and mention only how the edits relate to it)
+`;
+  const relationInfo = chains.length === 0 ? '' : `
+Commit relationships (newest first, from commit messages and the history of these lines):
+${chains.map(chain => `- ${chain.map(formatRelation).join('\n  which ')}`).join('\n')}
+${historyWarnings.map(warning => `Note: ${warning}`).join('\n')}
+`;
+  const truncatedInfo = boundary.length === 0 ? '' : `
+${formatTruncated(boundary)}
+`;
+  return lineageInfo + uncommittedInfo + relationInfo + truncatedInfo;
+}
+
+/**
+ * Prompt note listing the parts of a commit's diff left out by the budget
+ */
+function formatOmitted(omitted) {
+  if (!omitted || omitted.length === 0) return '';
+  return '\nNot shown: ' + omitted.map(o => `${formatTrimmedAmount(o)}${o.file} (${o.reason})`).join(', ');
+}
+
+/**
+ * Prompt note for history cut off by a shallow clone
+ */
+function formatTruncated(boundary) {
+  const commits = boundary.map(hash => hash.substring(0, 8)).join(', ');
+  return `History truncated: this is a shallow clone and its history stops at ${commits}. Code attributed to ${boundary.length === 1 ? 'that commit' : 'those commits'} is older than the clone and was not necessarily written there; say so rather than guessing why it was added.`;
+}
+
+/**
+ * One line summing up what was redacted from a prompt, or '' for nothing
+ */
+function formatRedactions(redactions, c) {
+  if (!redactions || redactions.length === 0) return '';
+
+  const counts = new Map();
+  const paths = [];
+  for (const redaction of redactions) {
+    if (redaction.detector === 'path') {
+      if (!paths.includes(redaction.path)) paths.push(redaction.path);
+    } else {
+      counts.set(redaction.detector, (counts.get(redaction.detector) || 0) + 1);
+    }
+  }
+  const parts = [...counts].map(([detector, count]) => `${count} ${detector}`);
+  if (paths.length > 0) parts.push(`withheld ${paths.join(', ')}`);
+  return c.yellow(`🔒 Redacted before sending: ${parts.join(', ')}`);
+}
+
+function formatTrimmedAmount({ hunks, lines }) {
+  if (hunks > 0) return `${hunks} hunk${hunks === 1 ? '' : 's'} in `;
+  if (lines > 0) return `${lines} line${lines === 1 ? '' : 's'} of `;
+  return '';
+}
+
+/**
+ * Short description of what a result explains, e.g. src/auth.js:42-58
+ */
+function describeTarget(result) {
+  if (result.change) return result.change.label;
+
+  const { file, lineNumber, endLine, functionName, rev } = result.context || {};
+  const at = rev ? ` at ${rev}` : '';
+  if (functionName) return `${file} (${functionName})${at}`;
+  if (lineNumber) return (endLine ? `${file}:${lineNumber}-${endLine}` : `${file}:${lineNumber}`) + at;
+  return file + at;
+}
+
+/**
+ * Prompt section with the issues and pull requests a commit refers to
+ */
+function formatReferences(references) {
+  const found = (references || []).filter(ref => !ref.error);
+  if (found.length === 0) return '';
+
+  return '\n\nReferenced issues:\n' + found.map(ref => {
+    const about = [ref.type, ref.state].filter(Boolean).join(', ');
+    const body = ref.body.length > MAX_REFERENCE_BODY ? `${ref.body.substring(0, MAX_REFERENCE_BODY)}...` : ref.body;
+    return `- ${ref.label}${about ? ` (${about})` : ''}: ${ref.title}` +
+      (body.trim() ? '\n' + body.trim().split('\n').map(line => `  ${line}`).join('\n') : '');
+  }).join('\n');
+}
+
+/**
+ * Prompt section for the merge that brought a commit in: the pull request's
+ * message and the other commits on its branch. A merge shared by several
+ * commits is written out once (shown tracks those already written).
+ */
+function formatMerge(commit, shown) {
+  const { merge } = commit;
+  if (!merge) return '';
+  if (shown.has(merge.hash)) return `\nMerged in: ${merge.hash.substring(0, 8)} (see above)`;
+  shown.add(merge.hash);
+
+  const siblings = merge.commits.filter(c => c.hash !== commit.hash);
+  const branch = siblings.length === 0
+    ? 'It was the only commit on its branch.'
+    : `Other commits on the branch (newest first):
+${siblings.map(c => `- ${c.hash.substring(0, 8)} ${c.summary}`).join('\n')}${merge.truncated > 0 ? `\n- ... ${merge.truncated} more` : ''}`;
+
+  return `
+Merged in: ${merge.hash.substring(0, 8)}
+Merge message: ${merge.message}${formatReferences(merge.references)}
+${branch}`;
+}
+
+/**
+ * Commits plus the merges that brought them in and those merges' other
+ * branch commits: everything a prompt shows and an explanation may cite
+ */
+function withMerges(commits) {
+  const all = new Map(commits.map(c => [c.hash, c]));
+  for (const { merge } of commits) {
+    if (!merge) continue;
+    if (!all.has(merge.hash)) all.set(merge.hash, merge);
+    for (const sibling of merge.commits) {
+      if (!all.has(sibling.hash)) all.set(sibling.hash, sibling);
+    }
+  }
+  return [...all.values()];
+}
+
+/**
+ * "WARNING: ..." lines the staged-change prompt asks for
+ */
+/**
+ * Label the commits of a history (hash -> parent hashes, walked from tip)
+ * with the merge on tip's first-parent line that brought each one in, or
+ * null for the commits on that line. Merges are visited oldest first, so
+ * a commit gets the first merge that reached it.
+ */
+function labelMerges(parents, tip) {
+  const mainline = [];
+  for (let commit = tip; parents.has(commit); commit = parents.get(commit)[0]) {
+    mainline.push(commit);
+  }
+  const labels = new Map(mainline.map(commit => [commit, null]));
+  for (const merge of mainline.reverse()) {
+    const stack = parents.get(merge).slice(1);
+    while (stack.length > 0) {
+      const commit = stack.pop();
+      if (labels.has(commit) || !parents.has(commit)) continue;
+      labels.set(commit, merge);
+      stack.push(...parents.get(commit));
+    }
+  }
+  return labels;
+}
+
+function extractWarnings(explanation) {
+  return [...explanation.matchAll(/^[\s>*_-]*WARNING:?[*_]*:?\s*(.+)$/gm)].map(match => match[1].trim());
+}
+
+function isRateLimited(error) {
+  return error.status === 429 || /^429\b/.test(error.message || '');
+}
+
+/**
+ * Milliseconds to wait before retrying a rate-limited call: the server's
+ * Retry-After when it sent one, otherwise exponential backoff with jitter
+ */
+function retryDelay(error, attempt, baseDelay) {
+  const retryAfter = error.retryAfter ?? parseFloat(error.headers?.['retry-after']);
+  if (!isNaN(retryAfter) && retryAfter >= 0) {
+    return Math.min(retryAfter * 1000, MAX_RETRY_DELAY);
+  }
+  const delay = baseDelay * 2 ** attempt;
+  return Math.min(delay + Math.random() * delay / 2, MAX_RETRY_DELAY);
+}
+
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done);
+  });
+}
+
+/**
+ * Stop work for a request that was cancelled (signal aborted)
+ */
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    const error = new Error('Request cancelled');
+    error.code = 'CANCELLED';
+    throw error;
+  }
+}
+
+/**
+ * Turn a callback-style run(onChunk) into an async iterator of chunks
+ * followed by the final result
+ */
+async function* streamChunks(run) {
+  const queue = [];
+  let wake = null;
+  let done = false;
+  let result;
+  let failure = null;
+
+  const notify = () => {
+    if (wake) {
+      wake();
+      wake = null;
+    }
+  };
+
+  run(text => {
+    queue.push(text);
+    notify();
+  }).then(value => {
+    result = value;
+    done = true;
+    notify();
+  }, error => {
+    failure = error;
+    done = true;
+    notify();
+  });
+
+  while (true) {
+    if (queue.length > 0) {
+      yield { type: 'chunk', text: queue.shift() };
+    } else if (done) {
+      break;
+    } else {
+      await new Promise(resolve => { wake = resolve; });
+    }
+  }
+
+  if (failure) throw failure;
+  yield { type: 'result', result };
+}
 
 export class GitWhy {
   constructor(options = {}) {
     this.verbose = options.verbose || false;
     this.json = options.json || false;
     this.noColor = options.noColor || false;
+    // 'text', 'json', 'markdown' or 'html'
+    this.format = this.json ? 'json' : (options.format || 'text');
+    this.model = options.model || null;
+    this.useCache = options.cache !== false;
+    this.cache = null;
+    this.retries = options.retries ?? MAX_RATE_LIMIT_RETRIES;
+    this.retryDelay = options.retryDelay ?? RATE_LIMIT_BASE_DELAY;
+    // Tokens of commit diffs to put in a prompt, most relevant hunks first
+    this.diffBudget = options.diffBudget ?? DEFAULT_CONFIG.diffBudget;
+    this.maxCommits = options.maxCommits ?? DEFAULT_CONFIG.maxCommits;
+    this.contextLines = options.contextLines ?? DEFAULT_CONFIG.contextLines;
+    // Commits to skip: { revs, revsFile, messages, authors } (see lib/config.js)
+    this.ignore = { ...DEFAULT_CONFIG.ignore, ...options.ignore };
+    this.ignoreRules = null;
+    // Issue tracker adapters; by default loaded from git config, false disables lookups
+    this.trackerOption = options.trackers ?? null;
+    this.trackers = this.trackerOption;
+    this.referenceLookups = new Map();
+    this.mergeLookups = new Map();
+    this.mergeDetails = new Map();
+    // Limits for each git command: bytes of output and milliseconds
+    this.maxBuffer = options.maxBuffer ?? DEFAULT_MAX_BUFFER;
+    this.gitTimeout = options.gitTimeout ?? DEFAULT_TIMEOUT;
+    // Shallow clones: fetch this many more commits (or everything, with
+    // unshallow) when the history runs into the clone's boundary
+    this.deepen = options.deepen || null;
+    this.unshallow = options.unshallow || false;
+    this.shallowCommits = null;
+    this.deepenError = null;
+    this.gitRepo = false;
+    // What the memos above were read from; see refresh()
+    this.repositoryState = null;
+    // Secrets and PII are redacted from every prompt: { patterns, paths } on
+    // top of the built-in detectors and deny-list (see lib/redact.js)
+    this.redact = { ...DEFAULT_CONFIG.redact, ...options.redact };
+    this.redactor = new Redactor(this.redact);
+    // Each prompt with redactions is logged to .git/git-why/redactions.log
+    this.auditLog = options.auditLog !== false;
+    // onPrompt(messages) sees every prompt after redaction; a dry run stops there
+    this.onPrompt = options.onPrompt || null;
+    this.dryRun = options.dryRun || false;
+
+    // Either a provider name ('anthropic', 'openai', 'ollama', 'mock') or
+    // an object with a complete({ messages, maxTokens }) method
+    if (options.provider && typeof options.provider === 'object') {
+      this.provider = options.provider;
+      this.providerName = options.provider.name || 'custom';
+    } else {
+      this.provider = null;
+      this.providerName = options.provider || null;
+    }
   }
 
   /**
-   * Check if current directory is a git repository
+   * Run git with an argument array under this instance's limits; see
+   * runGit in lib/git.js for the errors it throws
    */
-  isGitRepo() {
+  git(args, options = {}) {
+    return runGit(args, { maxBuffer: this.maxBuffer, timeout: this.gitTimeout, ...options });
+  }
+
+  /**
+   * Run git for its exit status under this instance's limits
+   */
+  gitSucceeds(args, options = {}) {
+    return gitSucceeds(args, { maxBuffer: this.maxBuffer, timeout: this.gitTimeout, ...options });
+  }
+
+  /**
+   * Stream the %x1e-separated records of a long git log under this
+   * instance's limits (maxBuffer then applies to a single line); aborting
+   * signal stops git
+   */
+  gitRecords(args, options = {}) {
+    return streamGitRecords(args, { maxBuffer: this.maxBuffer, timeout: this.gitTimeout, ...options });
+  }
+
+  /**
+   * Forget what was memoized from the repository (ignore rules, trackers,
+   * shallow boundary, issue and merge lookups) once it has changed, so a
+   * long-lived instance such as git-why serve sees new commits, a deepened
+   * clone and edits to git config or the ignore-revs files. Cheap when
+   * nothing changed: one git rev-parse and a few stats.
+   */
+  refresh() {
+    const state = this.readRepositoryState();
+    if (state === this.repositoryState) return;
+
+    this.repositoryState = state;
+    this.ignoreRules = null;
+    this.shallowCommits = null;
+    this.deepenError = null;
+    this.trackers = this.trackerOption;
+    this.referenceLookups.clear();
+    this.mergeLookups.clear();
+    this.mergeDetails.clear();
+    this.gitRepo = false;
+  }
+
+  /**
+   * HEAD plus the modification times of the files the memos depend on
+   */
+  readRepositoryState() {
+    let head = '';
+    let files = [];
     try {
-      execSync('git rev-parse --git-dir', { stdio: 'pipe' });
-      return true;
+      [head, ...files] = this.git(['rev-parse', 'HEAD', '--show-toplevel', '--git-path', 'shallow', '--git-path', 'config'])
+        .trim().split('\n');
     } catch {
-      return false;
+      // Not a repository, or no commits yet
+    }
+    const [root, ...paths] = files;
+    if (root) paths.push(join(root, '.git-blame-ignore-revs'));
+    paths.push(join(homedir(), '.gitconfig'), join(homedir(), '.config', 'git', 'config'), ...(this.ignoreRules?.revsFiles || []));
+
+    const times = paths.map(path => statSync(resolve(path), { throwIfNoEntry: false })?.mtimeMs ?? 0);
+    return [head, ...times].join(':');
+  }
+
+  /**
+   * Get (and lazily create) the AI provider
+   */
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createProvider(this.providerName, { model: this.model });
+      this.providerName = this.provider.name;
     }
+    return this.provider;
   }
 
   /**
-   * Check if file is tracked by git
+   * Provider and model that will answer, without creating the provider
    */
-  isFileTracked(filePath) {
+  getModelIdentity() {
+    const provider = this.provider ? this.providerName : (this.providerName || detectProvider() || 'none');
+    const model = this.provider?.model || this.model || DEFAULT_MODELS[provider] || null;
+    return { provider, model };
+  }
+
+  /**
+   * Get the explanation cache for the current repository (null if disabled)
+   */
+  getCache() {
+    if (!this.useCache) {
+      return null;
+    }
+
+    if (!this.cache) {
+      const gitDir = this.git(['rev-parse', '--git-common-dir']).trim();
+      this.cache = new ExplanationCache(join(resolve(gitDir), 'git-why', 'cache'));
+    }
+    return this.cache;
+  }
+
+  /**
+   * Whether a file (relative to the current directory) is on the
+   * redaction deny-list, so none of its contents may be sent
+   */
+  isPathDenied(filePath) {
+    const root = this.git(['rev-parse', '--show-toplevel']).trim();
+    return this.redactor.isDenied(relative(root, resolve(filePath)).split('\\').join('/'));
+  }
+
+  /**
+   * Append one line per prompt that needed redactions to the audit log.
+   * Secrets themselves are never written, only detector names and
+   * fingerprints.
+   */
+  recordRedactions(target, redactions) {
+    if (!this.auditLog || redactions.length === 0) return;
+
+    const counts = new Map();
+    for (const redaction of redactions) {
+      const key = JSON.stringify(redaction);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    const entry = {
+      time: new Date().toISOString(),
+      target,
+      dryRun: this.dryRun,
+      provider: this.providerName,
+      redactions: [...counts].map(([key, count]) => ({ ...JSON.parse(key), count }))
+    };
+
     try {
-      execSync(`git ls-files --error-unmatch "${filePath}"`, { stdio: 'pipe' });
-      return true;
+      const dir = join(resolve(this.git(['rev-parse', '--git-common-dir']).trim()), 'git-why');
+      mkdirSync(dir, { recursive: true });
+      appendFileSync(join(dir, 'redactions.log'), JSON.stringify(entry) + '\n');
     } catch {
-      return false;
+      // A read-only .git shouldn't stop the explanation
+    }
+  }
+
+  /**
+   * Compile the ignore settings. Revisions come from the config, the
+   * config's revsFile and git's blame.ignoreRevsFile (or a
+   * .git-blame-ignore-revs file at the root, the usual name for it).
+   */
+  getIgnoreRules() {
+    if (this.ignoreRules) {
+      return this.ignoreRules;
+    }
+
+    const revsFiles = [];
+    if (this.ignore.revsFile) {
+      if (!existsSync(this.ignore.revsFile)) {
+        throw new Error(`Ignore revs file not found: ${this.ignore.revsFile}`);
+      }
+      revsFiles.push(resolve(this.ignore.revsFile));
+    }
+
+    let gitRevsFile = null;
+    try {
+      gitRevsFile = this.git(['config', 'blame.ignoreRevsFile']).trim();
+    } catch {
+      // Not configured
+    }
+    const root = this.git(['rev-parse', '--show-toplevel']).trim();
+    const defaultRevsFile = resolve(root, gitRevsFile || '.git-blame-ignore-revs');
+    if (existsSync(defaultRevsFile) && !revsFiles.includes(defaultRevsFile)) {
+      revsFiles.push(defaultRevsFile);
+    }
+
+    // Revs from a home config may be commits of other repositories, and
+    // blame stops at any --ignore-rev it can't find
+    const found = this.ignore.revs.length === 0 ? [] : this.git(['cat-file', '--batch-check=%(objecttype)'], {
+      input: this.ignore.revs.map(rev => `${rev}^{commit}\n`).join('')
+    }).split('\n');
+    const blameRevs = this.ignore.revs.filter((rev, i) => found[i] === 'commit');
+
+    const revs = [...blameRevs];
+    for (const file of revsFiles) {
+      for (const line of readFileSync(file, 'utf-8').split('\n')) {
+        const rev = line.replace(/#.*/, '').trim();
+        if (/^[0-9a-f]{7,40}$/i.test(rev)) revs.push(rev.toLowerCase());
+      }
+    }
+
+    this.ignoreRules = {
+      revs,
+      blameRevs,
+      revsFiles,
+      messages: this.ignore.messages.map(pattern => new RegExp(pattern, 'i')),
+      authors: this.ignore.authors.map(pattern => new RegExp(pattern, 'i'))
+    };
+    return this.ignoreRules;
+  }
+
+  /**
+   * Whether a commit ({ hash, summary or message, author, authorMail })
+   * matches the ignore settings
+   */
+  isIgnoredCommit(commit) {
+    const rules = this.getIgnoreRules();
+    const subject = commit.summary ?? (commit.message || '').split('\n')[0];
+    const author = `${commit.author} <${commit.authorMail || ''}>`;
+
+    return rules.revs.some(rev => commit.hash.startsWith(rev)) ||
+      rules.messages.some(pattern => pattern.test(subject)) ||
+      rules.authors.some(pattern => pattern.test(author));
+  }
+
+  /**
+   * Drop ignored commits from a list, unless that would leave nothing
+   */
+  withoutIgnored(commits) {
+    const kept = commits.filter(c => !this.isIgnoredCommit(c));
+    return kept.length > 0 ? kept : commits;
+  }
+
+  /**
+   * Get (and lazily load) the issue trackers configured for the repository
+   */
+  getTrackers() {
+    if (this.trackers === false) {
+      return [];
+    }
+    if (!this.trackers) {
+      this.trackers = loadTrackers();
+    }
+    return this.trackers;
+  }
+
+  /**
+   * Look up the issues and pull requests each commit message refers to, and
+   * set them as commit.references ({ label, source, title, body, url, state,
+   * type }, or { label, source, error } when every lookup failed)
+   */
+  async attachReferences(commits) {
+    const trackers = this.getTrackers();
+
+    await Promise.all(commits.map(async commit => {
+      const refs = trackers.length === 0 ? [] : extractReferences(commit.message || '').slice(0, MAX_REFERENCES);
+      const found = await Promise.all(refs.map(ref => this.lookupReference(ref, trackers)));
+      commit.references = found.filter(Boolean);
+    }));
+  }
+
+  /**
+   * Fetch a reference from the first tracker that knows it (once per label)
+   */
+  lookupReference(ref, trackers) {
+    if (!this.referenceLookups.has(ref.label)) {
+      this.referenceLookups.set(ref.label, (async () => {
+        let failure = null;
+        for (const tracker of trackers.filter(t => t.supports(ref))) {
+          try {
+            const found = await tracker.fetch(ref);
+            if (found) return { label: ref.label, source: tracker.name, ...found };
+          } catch (error) {
+            failure = failure || { label: ref.label, source: tracker.name, error: error.message };
+          }
+        }
+        return failure;
+      })());
+    }
+    return this.referenceLookups.get(ref.label);
+  }
+
+  /**
+   * Check if current directory is a git repository
+   */
+  isGitRepo() {
+    // Remembered once true, so a long-lived instance (git-why serve) checks once
+    if (this.gitRepo) {
+      return true;
     }
+    this.gitRepo = this.gitSucceeds(['rev-parse', '--git-dir']);
+    return this.gitRepo;
+  }
+
+  /**
+   * Check if file is tracked by git
+   */
+  isFileTracked(filePath) {
+    return this.gitSucceeds(['ls-files', '--error-unmatch', '--', filePath]);
+  }
+
+  /**
+   * Check if a file matches .gitignore (and so isn't part of the project)
+   */
+  isFileIgnored(filePath) {
+    return this.gitSucceeds(['check-ignore', '-q', '--', filePath]);
   }
 
   /**
    * Get git blame for a specific line or range
    */
   getBlame(filePath, lineNumber = null, endLine = null) {
-    try {
-      let cmd = `git blame -w --line-porcelain "${filePath}"`;
+    return this.dedupeCommits(this.blameLines(filePath, { lineNumber, endLine }));
+  }
+
+  /**
+   * Run git blame and return one entry per line.
+   * Move/copy detection (-M -C -C) is on unless detectMoves is false.
+   */
+  blameLines(filePath, options = {}) {
+    const { lineNumber = null, endLine = null, rev = null, detectMoves = true } = options;
+    const rules = this.getIgnoreRules();
+    const skipped = [];
+
+    for (let round = 0; ; round++) {
+      const args = ['blame', '-w', '--line-porcelain'];
+      if (detectMoves) {
+        args.push('-M', '-C', '-C');
+      }
+      for (const file of rules.revsFiles) {
+        args.push('--ignore-revs-file', file);
+      }
+      // Revs from the revs files are already passed with the files
+      for (const ignored of [...rules.blameRevs, ...skipped]) {
+        args.push('--ignore-rev', ignored);
+      }
       if (lineNumber) {
-        const range = endLine ? `${lineNumber},${endLine}` : lineNumber;
-        cmd = `git blame -w --line-porcelain -L ${range} "${filePath}"`;
+        // -L n alone would run to the end of the file
+        args.push('-L', `${lineNumber},${endLine || lineNumber}`);
       }
-      
-      const output = execSync(cmd, { encoding: 'utf-8' });
-      return this.parseBlameOutput(output);
-    } catch (error) {
-      throw new Error(`Failed to get git blame: ${error.message}`);
+      if (rev) {
+        args.push(rev);
+      }
+      args.push('--', filePath);
+
+      let entries;
+      try {
+        entries = this.parseBlameLines(this.git(args));
+      } catch (error) {
+        error.message = `Failed to get git blame: ${error.message}`;
+        throw error;
+      }
+
+      // Commits matching the message/author patterns are only known once
+      // blamed; skip them and blame again so the lines go to earlier commits
+      const matched = round < MAX_IGNORE_ROUNDS
+        ? this.dedupeCommits(entries).filter(c => c.hash !== UNCOMMITTED && !skipped.includes(c.hash) && this.isIgnoredCommit(c))
+        : [];
+      if (matched.length === 0) {
+        return entries;
+      }
+      skipped.push(...matched.map(c => c.hash));
     }
   }
 
@@ -57,36 +744,78 @@ export class GitWhy {
    * Parse git blame porcelain output
    */
   parseBlameOutput(output) {
-    const commits = [];
+    return this.dedupeCommits(this.parseBlameLines(output));
+  }
+
+  /**
+   * Parse git blame --line-porcelain output into per-line entries
+   */
+  parseBlameLines(output) {
+    const entries = [];
     const lines = output.split('\n');
-    let currentCommit = {};
+    let current = null;
 
     for (const line of lines) {
-      if (line.match(/^[0-9a-f]{40}/)) {
-        if (currentCommit.hash) {
-          commits.push({ ...currentCommit });
-        }
-        currentCommit = { hash: line.split(' ')[0] };
+      const header = line.match(/^([0-9a-f]{40}) (\d+) (\d+)/);
+      if (header) {
+        current = {
+          hash: header[1],
+          origLine: parseInt(header[2]),
+          finalLine: parseInt(header[3]),
+          previous: null
+        };
+      } else if (!current) {
+        continue;
+      } else if (line.startsWith('\t')) {
+        current.content = line.substring(1);
+        entries.push(current);
+        current = null;
       } else if (line.startsWith('author ')) {
-        currentCommit.author = line.substring(7);
+        current.author = line.substring(7);
+      } else if (line.startsWith('author-mail ')) {
+        current.authorMail = line.substring(12).replace(/^<|>$/g, '');
       } else if (line.startsWith('author-time ')) {
-        currentCommit.timestamp = parseInt(line.substring(12));
+        current.timestamp = parseInt(line.substring(12));
+      } else if (line.startsWith('committer ')) {
+        current.committer = line.substring(10);
+      } else if (line.startsWith('committer-mail ')) {
+        current.committerMail = line.substring(15).replace(/^<|>$/g, '');
+      } else if (line.startsWith('committer-time ')) {
+        current.committerTime = parseInt(line.substring(15));
       } else if (line.startsWith('summary ')) {
-        currentCommit.summary = line.substring(8);
+        current.summary = line.substring(8);
+      } else if (line.startsWith('filename ')) {
+        current.filename = line.substring(9);
+      } else if (line === 'boundary') {
+        current.boundary = true;
+      } else if (line.startsWith('previous ')) {
+        const rest = line.substring(9);
+        const space = rest.indexOf(' ');
+        current.previous = { hash: rest.substring(0, space), filename: rest.substring(space + 1) };
       }
     }
 
-    if (currentCommit.hash) {
-      commits.push(currentCommit);
-    }
+    return entries;
+  }
 
-    // Deduplicate by hash
+  /**
+   * Reduce per-line blame entries to unique commits, in file order
+   */
+  dedupeCommits(entries) {
     const unique = [];
     const seen = new Set();
-    for (const commit of commits) {
-      if (!seen.has(commit.hash)) {
-        seen.add(commit.hash);
-        unique.push(commit);
+    for (const entry of entries) {
+      if (!seen.has(entry.hash)) {
+        seen.add(entry.hash);
+        unique.push({
+          hash: entry.hash,
+          author: entry.author,
+          authorMail: entry.authorMail,
+          timestamp: entry.timestamp,
+          summary: entry.summary,
+          filename: entry.filename,
+          boundary: entry.boundary
+        });
       }
     }
 
@@ -94,236 +823,1317 @@ export class GitWhy {
   }
 
   /**
-   * Get full commit details
+   * Follow lines back through renames, moves and copies.
+   *
+   * Returns groups of lines sharing the same ancestry. Each chain runs
+   * newest to oldest and ends with the commit that introduced the content;
+   * earlier hops only moved it (or changed whitespace).
    */
-  getCommitDetails(hash) {
-    try {
-      const message = execSync(`git log -1 --format=%B ${hash}`, { encoding: 'utf-8' }).trim();
-      const diff = execSync(`git show ${hash}`, { encoding: 'utf-8' });
-      const files = execSync(`git show --name-status ${hash}`, { encoding: 'utf-8' });
-      
-      return { message, diff, files };
-    } catch (error) {
-      throw new Error(`Failed to get commit details: ${error.message}`);
-    }
-  }
+  traceLineage(filePath, lineNumber = null, endLine = null, origins = null, rev = null) {
+    const lastTouch = new Map(this.blameLines(filePath, { lineNumber, endLine, rev, detectMoves: false })
+      .map(entry => [entry.finalLine, entry]));
+    origins = (origins || this.blameLines(filePath, { lineNumber, endLine, rev }))
+      .filter(entry => entry.hash !== UNCOMMITTED);
 
-  /**
-   * Get code context around a line
-   */
-  getCodeContext(filePath, lineNumber, contextLines = 5) {
-    const content = readFileSync(filePath, 'utf-8');
-    const lines = content.split('\n');
-    
-    const start = Math.max(0, lineNumber - contextLines - 1);
-    const end = Math.min(lines.length, lineNumber + contextLines);
-    
-    return {
-      code: lines.slice(start, end).join('\n'),
-      startLine: start + 1,
-      targetLine: lineNumber
-    };
+    const fileCache = new Map();
+    const touchedCache = new Map();
+    const groups = new Map();
+
+    origins.forEach(origin => {
+      const chain = [];
+      const touch = lastTouch.get(origin.finalLine);
+      if (touch && touch.hash !== origin.hash) {
+        chain.push(this.toLineageHop(touch, 'moved'));
+      }
+
+      let current = origin;
+      for (let depth = 0; current; depth++) {
+        const next = depth < MAX_LINEAGE_DEPTH ? this.findMovedFrom(current, fileCache, touchedCache) : null;
+        chain.push(this.toLineageHop(current, next ? 'moved' : 'introduced'));
+        current = next;
+      }
+
+      const key = chain.map(hop => `${hop.hash}:${hop.filename}`).join('>');
+      if (!groups.has(key)) {
+        groups.set(key, { lines: [], chain });
+      }
+      groups.get(key).lines.push(origin.finalLine);
+    });
+
+    return [...groups.values()];
   }
 
   /**
-   * Find function at line number
+   * If a blamed commit only moved a line (same content exists in its parent,
+   * in the same file or one it touched), blame the parent at that location.
+   * The caches are shared across the lines of one trace, so each file
+   * version and each commit's touched files are read once.
    */
-  findFunctionAtLine(filePath, lineNumber) {
-    const content = readFileSync(filePath, 'utf-8');
-    const lines = content.split('\n');
-    
-    // Simple heuristic: look backwards for function declaration
-    const functionPatterns = [
-      /function\s+(\w+)\s*\(/,
-      /const\s+(\w+)\s*=\s*(?:async\s*)?\([^)]*\)\s*=>/,
-      /(?:export\s+)?(?:async\s+)?function\s+(\w+)/,
-      /(\w+)\s*\([^)]*\)\s*{/,
-      /def\s+(\w+)\s*\(/,  // Python
-      /func\s+(\w+)\s*\(/,  // Go
-    ];
-    
-    for (let i = lineNumber - 1; i >= 0; i--) {
-      for (const pattern of functionPatterns) {
-        const match = lines[i].match(pattern);
-        if (match) {
-          return { name: match[1], line: i + 1 };
+  findMovedFrom(entry, fileCache, touchedCache) {
+    if (!entry.previous) return null;
+
+    const wanted = normalizeLine(entry.content);
+    if (wanted.replace(/\W/g, '').length < 8) return null;
+
+    const parent = entry.previous.hash;
+    const candidates = [entry.previous.filename];
+    const touchedKey = `${parent}:${entry.hash}`;
+    if (!touchedCache.has(touchedKey)) {
+      try {
+        const touched = this.git(['diff-tree', '--no-commit-id', '-r', '--name-only', parent, entry.hash]);
+        touchedCache.set(touchedKey, touched.split('\n').filter(Boolean));
+      } catch {
+        // Fall back to the previous filename only
+        touchedCache.set(touchedKey, []);
+      }
+    }
+    for (const name of touchedCache.get(touchedKey)) {
+      if (!candidates.includes(name)) candidates.push(name);
+    }
+
+    for (const candidate of candidates) {
+      const key = `${parent}:${candidate}`;
+      if (!fileCache.has(key)) {
+        try {
+          fileCache.set(key, this.git(['show', key]).split('\n'));
+        } catch {
+          fileCache.set(key, null);
+        }
+      }
+
+      const lines = fileCache.get(key);
+      if (!lines) continue;
+
+      const matches = [];
+      lines.forEach((line, i) => {
+        if (normalizeLine(line) === wanted) matches.push(i + 1);
+      });
+      // Ambiguous content (duplicated lines) is not safe to follow
+      if (matches.length !== 1) continue;
+
+      const [previousEntry] = this.blameLines(candidate, { lineNumber: matches[0], rev: parent });
+      if (previousEntry && previousEntry.hash !== entry.hash) {
+        return previousEntry;
+      }
+    }
+
+    return null;
+  }
+
+  toLineageHop(entry, kind) {
+    return {
+      hash: entry.hash,
+      kind,
+      filename: entry.filename,
+      line: entry.origLine,
+      author: entry.author,
+      timestamp: entry.timestamp,
+      summary: entry.summary
+    };
+  }
+
+  /**
+   * How the working-tree copy of a file relates to HEAD. Returns
+   * { status, toHead } where status is 'clean', 'modified' or 'new' (not in
+   * HEAD: untracked, only staged, or no commits yet) and toHead(line) maps a
+   * working-tree line number to the same line in HEAD, or null if the line
+   * is not committed.
+   */
+  getWorkingTreeLines(filePath) {
+    let output;
+    try {
+      if (!this.git(['ls-tree', '--name-only', 'HEAD', '--', filePath]).trim()) {
+        return { status: 'new', toHead: () => null };
+      }
+      output = this.git(['diff', '-U0', '--no-color', '--no-ext-diff', 'HEAD', '--', filePath]);
+    } catch {
+      // No commits yet
+      return { status: 'new', toHead: () => null };
+    }
+
+    const hunks = parseDiff(output).flatMap(file => file.hunks);
+    const toHead = (line) => {
+      let offset = 0;
+      for (const hunk of hunks) {
+        const last = hunk.newStart + hunk.newCount - 1;
+        if (hunk.newCount > 0 && line >= hunk.newStart && line <= last) return null;
+        // A pure deletion (newCount 0) sits after line newStart
+        if (hunk.newCount > 0 ? last >= line : hunk.newStart >= line) break;
+        offset += hunk.newCount - hunk.oldCount;
+      }
+      return line - offset;
+    };
+
+    return { status: hunks.length > 0 ? 'modified' : 'clean', toHead };
+  }
+
+  /**
+   * Commits where a shallow clone's history stops (empty for full clones).
+   * Blame gives them every line older than the clone, so they say nothing
+   * about why the code was written.
+   */
+  getShallowCommits() {
+    if (!this.shallowCommits) {
+      const file = resolve(this.git(['rev-parse', '--git-path', 'shallow']).trim());
+      this.shallowCommits = new Set(existsSync(file) ? readFileSync(file, 'utf-8').split('\n').filter(Boolean) : []);
+    }
+    return this.shallowCommits;
+  }
+
+  /**
+   * Fetch more history into a shallow clone, as configured with deepen or
+   * unshallow. Returns whether anything was fetched; a failed fetch is
+   * kept in deepenError rather than thrown.
+   */
+  deepenHistory() {
+    if ((!this.deepen && !this.unshallow) || this.getShallowCommits().size === 0) {
+      return false;
+    }
+
+    // No remote given: git fetches from the branch's configured remote
+    const args = ['fetch', '--quiet', this.unshallow ? '--unshallow' : `--deepen=${this.deepen}`];
+    try {
+      this.git(args, { timeout: DEEPEN_TIMEOUT });
+    } catch (error) {
+      // The first line says why (e.g. no such remote); the rest is git's advice
+      this.deepenError = `Could not fetch more history: ${error.message.split('\n')[0]}`;
+      return false;
+    }
+
+    this.shallowCommits = null;
+    return true;
+  }
+
+  /**
+   * Hashes of the given commits (anything with a hash) that are shallow
+   * clone boundaries, i.e. where the history the model sees stops short
+   */
+  shallowBoundary(commits) {
+    const shallow = this.getShallowCommits();
+    return [...new Set(commits.map(c => c.hash).filter(hash => shallow.has(hash)))];
+  }
+
+  /**
+   * Get full commit details
+   */
+  getCommitDetails(hash) {
+    try {
+      const message = this.git(['log', '-1', '--format=%B', hash, '--']).trim();
+      // A shallow boundary's diff is the whole snapshot, not a change
+      if (this.getShallowCommits().has(hash)) {
+        return { message, diff: '', files: '', shallow: true };
+      }
+      const diff = this.git(['show', hash, '--']);
+      const files = this.git(['show', '--name-status', hash, '--']);
+      
+      return { message, diff, files };
+    } catch (error) {
+      error.message = `Failed to get commit details: ${error.message}`;
+      throw error;
+    }
+  }
+
+  /**
+   * The merges that brought commits into tip (the commit hash of HEAD or a
+   * revision, see resolveRev), as a Map of hash to merge hash: the oldest
+   * merge on tip's first-parent line that the commit is an ancestor of, or
+   * null for commits made on that line, as in squash-merge repositories.
+   * One walk of tip's history, children before parents, that stops once
+   * every commit has been passed. Memoized by hash and tip, so moving HEAD
+   * asks again.
+   */
+  async findMerges(hashes, tip, signal = null) {
+    const wanted = new Set(hashes.filter(hash => !this.mergeLookups.has(`${hash}:${tip}`)));
+    if (wanted.size > 0) {
+      const parents = new Map();
+      let remaining = wanted.size;
+      try {
+        for await (const record of this.gitRecords(['log', '--topo-order', '--format=%x1e%H %P', tip, '--'], { signal })) {
+          const [hash, ...rest] = record.trim().split(' ');
+          parents.set(hash, rest);
+          if (wanted.has(hash) && --remaining === 0) break;
+        }
+      } catch (error) {
+        if (error.code === 'CANCELLED') throw error;
+        parents.clear();
+      }
+      const merges = labelMerges(parents, tip);
+      for (const hash of wanted) {
+        this.mergeLookups.set(`${hash}:${tip}`, merges.get(hash) ?? null);
+      }
+    }
+    return new Map(hashes.map(hash => [hash, this.mergeLookups.get(`${hash}:${tip}`)]));
+  }
+
+  /**
+   * A merge commit with its branch. Returns { hash, message, summary,
+   * commits, truncated } where commits are the branch's commits (newest
+   * first, up to MAX_BRANCH_COMMITS).
+   */
+  describeMerge(merge) {
+    if (this.mergeDetails.has(merge)) return this.mergeDetails.get(merge);
+
+    const message = this.git(['log', '-1', '--format=%B', merge, '--']).trim();
+    const range = `${merge}^1..${merge}^2`;
+    const total = parseInt(this.git(['rev-list', '--count', range]));
+    const branch = this.git(['log', '-n', String(MAX_BRANCH_COMMITS), '--format=%H%x1f%an%x1f%at%x1f%s', range, '--'])
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        const [commit, author, timestamp, summary] = line.split('\x1f');
+        return { hash: commit, author, timestamp: parseInt(timestamp), summary };
+      });
+
+    const details = {
+      hash: merge,
+      message,
+      summary: message.split('\n')[0],
+      commits: branch,
+      truncated: Math.max(0, total - branch.length)
+    };
+    this.mergeDetails.set(merge, details);
+    return details;
+  }
+
+  /**
+   * Get every revision that changed a line range, via git log -L.
+   * Returns newest first, each with its full message and range-only diff.
+   * With rev, history ends at that revision instead of HEAD. The log is
+   * streamed, since old, busy lines can have thousands of revisions.
+   */
+  async getLineHistory(filePath, lineNumber, endLine = null, rev = null, signal = null) {
+    const start = lineNumber || 1;
+    const end = endLine || (lineNumber ? lineNumber : this.readFile(filePath, rev).split('\n').length);
+    const args = [
+      'log',
+      `-L${start},${end}:${filePath}`,
+      '--format=%x1e%H%x1f%an%x1f%ae%x1f%at%x1f%B%x1f',
+      ...(rev ? [rev] : [])
+    ];
+
+    const revisions = [];
+    try {
+      for await (const chunk of this.gitRecords(args, { signal })) {
+        if (!chunk.trim()) continue;
+        const [hash, author, authorMail, timestamp, message, diff = ''] = chunk.split('\x1f');
+        const hunk = diff.trim();
+        revisions.push({
+          hash,
+          author,
+          authorMail,
+          timestamp: parseInt(timestamp),
+          message: message.trim(),
+          summary: message.trim().split('\n')[0],
+          diff: hunk,
+          added: hunk.split('\n').filter(l => l.startsWith('+') && !l.startsWith('+++')).length,
+          removed: hunk.split('\n').filter(l => l.startsWith('-') && !l.startsWith('---')).length
+        });
+      }
+    } catch (error) {
+      if (error.code !== 'CANCELLED') error.message = `Failed to get line history: ${error.message}`;
+      throw error;
+    }
+    return revisions;
+  }
+
+  /**
+   * Collapse consecutive revisions by the same author within a day into
+   * timeline entries, oldest first
+   */
+  summarizeTimeline(revisions) {
+    const entries = [];
+    const oldestFirst = [...revisions].reverse();
+
+    for (const revision of oldestFirst) {
+      const last = entries[entries.length - 1];
+      if (last && last.author === revision.author && Math.abs(revision.timestamp - last.end) <= TIMELINE_WINDOW) {
+        last.hashes.push(revision.hash);
+        last.summaries.push(revision.summary);
+        last.start = Math.min(last.start, revision.timestamp);
+        last.end = Math.max(last.end, revision.timestamp);
+        last.added += revision.added;
+        last.removed += revision.removed;
+        continue;
+      }
+
+      entries.push({
+        kind: entries.length === 0 ? 'introduced' : 'changed',
+        hashes: [revision.hash],
+        author: revision.author,
+        start: revision.timestamp,
+        end: revision.timestamp,
+        summaries: [revision.summary],
+        added: revision.added,
+        removed: revision.removed
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * The commits that touched the target lines (or the file), newest
+   * first, as { hash, summary, message }. Empty if git can't tell.
+   */
+  async getTouchingCommits(filePath, lineNumber, endLine = null, rev = null, signal = null) {
+    const args = lineNumber
+      ? ['log', '-s', `-L${lineNumber},${endLine || lineNumber}:${filePath}`]
+      : ['log', '-n', String(MAX_RELATION_LOG)];
+    args.push('--format=%x1e%H%x1f%B', rev || 'HEAD');
+    if (!lineNumber) args.push('--', filePath);
+
+    const commits = [];
+    try {
+      for await (const chunk of this.gitRecords(args, { signal })) {
+        if (!chunk.includes('\x1f')) continue;
+        const [hash, message] = chunk.split('\x1f');
+        commits.push({ hash, summary: message.trim().split('\n')[0], message: message.trim() });
+      }
+    } catch (error) {
+      if (error.code === 'CANCELLED') throw error;
+      return [];
+    }
+    return commits;
+  }
+
+  /**
+   * Get code context around a line
+   */
+  getCodeContext(filePath, lineNumber, contextLines = 5, rev = null) {
+    const content = this.readFile(filePath, rev);
+    const lines = content.split('\n');
+    
+    const start = Math.max(0, lineNumber - contextLines - 1);
+    const end = Math.min(lines.length, lineNumber + contextLines);
+    
+    return {
+      code: lines.slice(start, end).join('\n'),
+      startLine: start + 1,
+      targetLine: lineNumber
+    };
+  }
+
+  /**
+   * Read a file from the working tree, or as it was at rev
+   */
+  readFile(filePath, rev = null) {
+    if (!rev) {
+      return readFileSync(filePath, 'utf-8');
+    }
+
+    // rev:./path is relative to the current directory, like the other arguments
+    const path = isAbsolute(filePath) ? relative(process.cwd(), filePath) : filePath;
+    try {
+      return this.git(['show', `${rev}:./${path.split('\\').join('/')}`]);
+    } catch (error) {
+      if (error.code !== 'MISSING_FILE') throw error;
+      error.message = `File not found at ${rev}: ${filePath}`;
+      throw error;
+    }
+  }
+
+  /**
+   * Find the functions, methods and classes declared in a file (at rev if given)
+   */
+  getSymbols(filePath, rev = null) {
+    const content = this.readFile(filePath, rev);
+    return findSymbols(content, detectLanguage(filePath));
+  }
+
+  /**
+   * Find function at line number
+   */
+  findFunctionAtLine(filePath, lineNumber, rev = null) {
+    const symbol = symbolAtLine(this.getSymbols(filePath, rev), lineNumber);
+    if (!symbol) {
+      return null;
+    }
+
+    return {
+      name: symbol.qualifiedName,
+      line: symbol.startLine,
+      endLine: symbol.endLine,
+      kind: symbol.kind
+    };
+  }
+
+  /**
+   * Resolve a function, method or class (name or Class.method) to its range.
+   * Throws if nothing matches or the name is ambiguous.
+   */
+  locateFunction(filePath, functionName, rev = null) {
+    const matches = locateSymbol(this.getSymbols(filePath, rev), functionName);
+
+    if (matches.length === 0) {
+      throw new Error(`Function "${functionName}" not found in ${filePath}`);
+    }
+
+    if (matches.length > 1) {
+      const list = matches
+        .map(m => `  ${m.qualifiedName} (${m.kind}, lines ${m.startLine}-${m.endLine})`)
+        .join('\n');
+      const error = new Error(
+        `Function "${functionName}" is ambiguous in ${filePath}:\n${list}\n` +
+        'Use a qualified name like --function Class.method to pick one.'
+      );
+      error.candidates = matches;
+      throw error;
+    }
+
+    return matches[0];
+  }
+
+  /**
+   * Split a file into parts worth explaining on their own: its top-level
+   * functions and classes or, in files without any, the largest runs of
+   * lines written by the same commit. Small files are a single section.
+   */
+  getFileSections(filePath, rev = null) {
+    const symbols = this.getSymbols(filePath, rev);
+    const seen = new Set();
+    const topLevel = symbols.filter(symbol => {
+      const key = `${symbol.startLine}-${symbol.endLine}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return !symbols.some(other =>
+        other.startLine <= symbol.startLine && other.endLine >= symbol.endLine &&
+        (other.startLine < symbol.startLine || other.endLine > symbol.endLine)
+      );
+    });
+
+    if (topLevel.length > 0) {
+      return topLevel.map(symbol => ({
+        name: symbol.qualifiedName,
+        kind: symbol.kind,
+        startLine: symbol.startLine,
+        endLine: symbol.endLine
+      }));
+    }
+
+    const clusters = [];
+    for (const entry of this.blameLines(filePath, { rev })) {
+      const last = clusters[clusters.length - 1];
+      if (last && last.hash === entry.hash && last.endLine === entry.finalLine - 1) {
+        last.endLine = entry.finalLine;
+      } else {
+        clusters.push({ hash: entry.hash, startLine: entry.finalLine, endLine: entry.finalLine });
+      }
+    }
+    if (clusters.length === 0) {
+      throw new Error(`No git history found for ${filePath}`);
+    }
+
+    const largest = clusters
+      .filter(c => c.endLine - c.startLine + 1 >= MIN_CLUSTER_LINES)
+      .sort((a, b) => (b.endLine - b.startLine) - (a.endLine - a.startLine))
+      .slice(0, MAX_CLUSTER_SECTIONS)
+      .sort((a, b) => a.startLine - b.startLine);
+
+    if (largest.length === 0) {
+      const lastLine = clusters[clusters.length - 1].endLine;
+      return [{ name: 'whole file', kind: 'file', startLine: 1, endLine: lastLine }];
+    }
+
+    return largest.map(c => ({
+      name: `lines ${c.startLine}-${c.endLine}`,
+      kind: 'cluster',
+      startLine: c.startLine,
+      endLine: c.endLine
+    }));
+  }
+
+  /**
+   * Search for function definition in file
+   */
+  findFunction(filePath, functionName) {
+    return this.locateFunction(filePath, functionName).startLine;
+  }
+
+  /**
+   * Explain using AI
+   */
+  async explain(filePath, options = {}) {
+    const { lineNumber, functionName, endLine, history = false, rev = null, deepened = false, onChunk, onWarnings, signal } = options;
+    
+    // Validate file (at rev, it only has to exist in that revision)
+    if (!rev && !existsSync(filePath)) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+
+    if (!this.isGitRepo()) {
+      throw new Error('Not a git repository. Run git init first.');
+    }
+
+    // A past revision has no local edits; there, the code is read from git
+    const at = rev ? this.resolveRev(rev) : null;
+    if (at) {
+      this.readFile(filePath, rev);
+    }
+
+    // New files (untracked or only staged) have no history yet; ignored ones aren't part of the repo
+    const workingTree = at ? { status: 'clean', toHead: line => line } : this.getWorkingTreeLines(filePath);
+    if (workingTree.status === 'new' && !this.isFileTracked(filePath) && this.isFileIgnored(filePath)) {
+      throw new Error(`File not tracked by git: ${filePath}`);
+    }
+
+    // Determine what to analyze
+    let targetLine = lineNumber;
+    let targetEndLine = endLine;
+    
+    if (functionName) {
+      const symbol = this.locateFunction(filePath, functionName, at);
+      targetLine = symbol.startLine;
+      targetEndLine = symbol.endLine > symbol.startLine ? symbol.endLine : undefined;
+    }
+
+    // Get code context
+    const context = this.getCodeContext(filePath, targetLine || 1, this.contextLines, at);
+    const withheld = this.isPathDenied(filePath);
+    const analysisContext = {
+      file: filePath,
+      lineNumber: targetLine,
+      endLine: targetEndLine,
+      functionName,
+      rev,
+      code: withheld ? WITHHELD : context.code,
+      withheld: withheld ? [filePath] : []
+    };
+
+    if (workingTree.status === 'new') {
+      const last = targetEndLine || targetLine || readFileSync(filePath, 'utf-8').replace(/\n$/, '').split('\n').length;
+      analysisContext.uncommitted = Array.from({ length: last - (targetLine || 1) + 1 }, (_, i) => (targetLine || 1) + i);
+      return this.explainUncommitted(analysisContext, workingTree.status, onChunk);
+    }
+
+    // Current owners of the lines (blame reads the working tree, so line
+    // numbers match the editor); also the cache fingerprint
+    const blamed = this.blameLines(filePath, { lineNumber: targetLine, endLine: targetEndLine, rev: at });
+    
+    if (blamed.length === 0) {
+      throw new Error('No git history found for this code');
+    }
+
+    // Local edits have no history; git log -L needs the lines as they are in HEAD
+    let uncommitted = blamed.filter(entry => entry.hash === UNCOMMITTED).map(entry => entry.finalLine);
+    let headRange = [targetLine, targetEndLine];
+    if (history && workingTree.status === 'modified') {
+      const headLines = blamed.map(entry => workingTree.toHead(entry.finalLine));
+      const committed = headLines.filter(line => line !== null);
+      uncommitted = blamed.filter((entry, i) => headLines[i] === null).map(entry => entry.finalLine);
+      headRange = committed.length === 0 ? null : [Math.min(...committed), Math.max(...committed)];
+      if (headRange && headRange[0] === headRange[1] && !targetEndLine) headRange[1] = undefined;
+    }
+    analysisContext.uncommitted = uncommitted;
+
+    if (uncommitted.length === blamed.length) {
+      return this.explainUncommitted(analysisContext, workingTree.status, onChunk);
+    }
+
+    // Lines blamed on a shallow clone's boundary are older than the clone
+    const shallow = this.getShallowCommits();
+    if (!deepened && blamed.some(entry => entry.boundary && shallow.has(entry.hash)) && this.deepenHistory()) {
+      return this.explain(filePath, { ...options, deepened: true });
+    }
+
+    // A whole file is explained section by section
+    if (!targetLine && !history) {
+      const sections = this.getFileSections(filePath, at);
+      const lines = this.readFile(filePath, at).split('\n');
+      analysisContext.sections = sections.slice(0, MAX_FILE_SECTIONS).map(section => ({
+        ...section,
+        preview: withheld
+          ? WITHHELD
+          : lines.slice(section.startLine - 1, Math.min(section.endLine, section.startLine - 1 + SECTION_PREVIEW_LINES)).join('\n')
+      }));
+      analysisContext.skippedSections = Math.max(0, sections.length - MAX_FILE_SECTIONS);
+    }
+
+    // The merges that brought the lines in; an explanation cached before a
+    // branch was merged is stale once it is
+    const tip = at || this.resolveRev('HEAD');
+    const blamedHashes = this.dedupeCommits(blamed).map(commit => commit.hash).filter(hash => hash !== UNCOMMITTED);
+    const blamedMerges = await this.findMerges(blamedHashes, tip, signal);
+    const mergedIn = blamedHashes.map(hash => blamedMerges.get(hash));
+
+    // A dry run never reads or writes the cache
+    const cache = this.dryRun ? null : this.getCache();
+    const cacheSlot = ExplanationCache.hash({ file: filePath, targetLine, targetEndLine, functionName, history, rev: at }).substring(0, 16);
+    const cacheKey = ExplanationCache.hash({
+      promptVersion: PROMPT_VERSION,
+      ...this.getModelIdentity(),
+      diffBudget: this.diffBudget,
+      maxCommits: this.maxCommits,
+      ignore: this.ignore,
+      redact: this.redact,
+      trackers: this.getTrackers().map(t => t.name),
+      commits: blamed.map(entry => entry.hash),
+      merges: mergedIn,
+      code: context.code,
+      sections: analysisContext.sections
+    }).substring(0, 32);
+
+    if (cache) {
+      const cached = cache.get(cacheSlot, cacheKey);
+      if (cached) {
+        if (onWarnings && cached.historyWarnings?.length > 0) onWarnings(cached.historyWarnings);
+        if (onChunk) onChunk(cached.explanation);
+        return { ...cached, cached: true };
+      }
+    }
+
+    // Get git history
+    const committed = blamed.filter(entry => entry.hash !== UNCOMMITTED);
+    const { commitDetails, lineage, timeline, budget, sections } = history
+      ? await this.gatherLineHistory(filePath, headRange[0], headRange[1], at, signal)
+      : analysisContext.sections
+        ? this.gatherFileHistory(filePath, analysisContext.sections, committed, at)
+        : this.gatherBlameHistory(filePath, targetLine, targetEndLine, committed, at);
+    throwIfCancelled(signal);
+
+    // git log -L and move detection can also run into the boundary
+    const boundary = this.shallowBoundary([...blamed, ...commitDetails, ...(lineage || []).flatMap(group => group.chain)]);
+    if (boundary.length > 0 && !deepened && this.deepenHistory()) {
+      return this.explain(filePath, { ...options, deepened: true });
+    }
+    // In merge-based workflows the pull request's merge says why
+    const detailMerges = await this.findMerges(commitDetails.filter(c => !c.shallow).map(c => c.hash), tip, signal);
+    for (const commit of commitDetails) {
+      const merge = detailMerges.get(commit.hash);
+      commit.merge = merge ? this.describeMerge(merge) : null;
+    }
+    const merges = [...new Map(commitDetails.filter(c => c.merge).map(c => [c.merge.hash, c.merge])).values()];
+    await this.attachReferences([...commitDetails, ...merges]);
+
+    // Reverts, cherry-picks, fixups and fixes; local edits shift the lines
+    // away from HEAD's, so then only the messages are followed. Fixes are
+    // only inferred from a line history, where they touched the same lines.
+    const touching = workingTree.status === 'modified' ? [] : await this.getTouchingCommits(filePath, targetLine, targetEndLine, at, signal);
+    const { relations, chains, warnings: historyWarnings } = traceRelations(
+      this,
+      [...commitDetails, ...touching, ...this.dedupeCommits(committed)],
+      targetLine ? touching : []
+    );
+    if (onWarnings && historyWarnings.length > 0) onWarnings(historyWarnings);
+    
+    // Build context for AI
+    Object.assign(analysisContext, { commits: commitDetails, lineage, timeline, boundary, chains, historyWarnings });
+    if (sections) analysisContext.sections = sections;
+
+    // Call AI
+    const { explanation, prompt, redactions } = await this.callAI(analysisContext, { onChunk, signal });
+
+    const result = {
+      context: analysisContext,
+      explanation,
+      commits: commitDetails,
+      lineage,
+      timeline,
+      budget,
+      uncommitted,
+      redactions,
+      ...(this.dryRun && { dryRun: true, prompt }),
+      ...parseClaims(explanation, withMerges(commitDetails)),
+      ...(sections && parseSections(explanation, sections.map(({ preview, ...section }) => section))),
+      relations,
+      chains,
+      historyWarnings,
+      historyTruncated: boundary.length > 0,
+      boundary,
+      deepenError: (boundary.length > 0 && this.deepenError) || undefined
+    };
+
+    if (cache) {
+      try {
+        cache.set(cacheSlot, cacheKey, this.toCacheEntry(result, prompt));
+      } catch {
+        // A read-only .git shouldn't break explanations
+      }
+    }
+
+    return { ...result, cached: false };
+  }
+
+  /**
+   * Result for code that only exists in the working tree: there is no
+   * history to send to the model, so say so without calling it
+   */
+  explainUncommitted(analysisContext, status, onChunk) {
+    const { file, lineNumber, endLine } = analysisContext;
+    const lines = lineNumber
+      ? (endLine ? `Lines ${lineNumber}-${endLine} of ${file} have` : `Line ${lineNumber} of ${file} has`)
+      : `${file} has`;
+    const explanation = status === 'new'
+      ? `${file} has not been committed yet, so there is no history to explain.`
+      : `${lines} not been committed yet, so there is no history to explain.`;
+
+    if (onChunk) onChunk(explanation);
+    const uncommitted = analysisContext.uncommitted || [];
+    return {
+      context: { ...analysisContext, commits: [], lineage: null, timeline: null, uncommitted },
+      explanation,
+      commits: [],
+      lineage: null,
+      timeline: null,
+      budget: null,
+      uncommitted,
+      cached: false
+    };
+  }
+
+  /**
+   * Blame snapshot: the commits that currently own each line, followed back
+   * through moves to the commits that introduced them
+   */
+  gatherBlameHistory(filePath, targetLine, targetEndLine, blamed = null, rev = null) {
+    blamed = blamed || this.blameLines(filePath, { lineNumber: targetLine, endLine: targetEndLine, rev });
+    
+    if (blamed.length === 0) {
+      throw new Error('No git history found for this code');
+    }
+
+    // Introducing commits come first, then whatever only moved the code
+    const lineage = this.traceLineage(filePath, targetLine, targetEndLine, blamed, rev);
+    const introducing = lineage.map(group => group.chain[group.chain.length - 1]);
+    const moves = lineage.flatMap(group => group.chain.filter(hop => hop.kind === 'moved'));
+    const commits = this.dedupeCommits([...introducing, ...blamed, ...moves]);
+
+    // Get detailed commit info (limit to most relevant)
+    const relevantCommits = this.withoutIgnored(commits).slice(0, this.maxCommits);
+    const { commitDetails, budget } = this.collectCommitDetails(relevantCommits, blamed, lineage);
+    return { commitDetails, lineage, timeline: null, budget };
+  }
+
+  /**
+   * Whole-file snapshot: commits ranked by how many of the file's lines they
+   * still own (moved code counts for the commit that introduced it), and
+   * each section's top owners. Besides the maxCommits biggest owners, every
+   * section's main commit is sent, so no section is explained blind.
+   */
+  gatherFileHistory(filePath, sections, blamed, rev = null) {
+    if (blamed.length === 0) {
+      throw new Error('No git history found for this code');
+    }
+
+    const lineage = this.traceLineage(filePath, null, null, blamed, rev);
+    const owners = new Map();
+    for (const group of lineage) {
+      const introducing = group.chain[group.chain.length - 1];
+      for (const line of group.lines) owners.set(line, introducing.hash);
+    }
+    const countLines = (start, end) => {
+      const counts = new Map();
+      for (const [line, hash] of owners) {
+        if (line >= start && line <= end) counts.set(hash, (counts.get(hash) || 0) + 1);
+      }
+      return counts;
+    };
+
+    const owned = countLines(1, Infinity);
+    const introducing = lineage.map(group => group.chain[group.chain.length - 1]);
+    const moves = lineage.flatMap(group => group.chain.filter(hop => hop.kind === 'moved'));
+    const ranked = this.withoutIgnored(this.dedupeCommits([...introducing, ...blamed, ...moves]))
+      .sort((a, b) => (owned.get(b.hash) || 0) - (owned.get(a.hash) || 0));
+
+    const withOwners = sections.map(section => ({
+      ...section,
+      commits: [...countLines(section.startLine, section.endLine)]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_SECTION_OWNERS)
+        .map(([hash, lines]) => ({ hash, lines }))
+    }));
+
+    const wanted = new Set(ranked.slice(0, this.maxCommits).map(c => c.hash));
+    for (const section of withOwners) {
+      if (section.commits.length > 0) wanted.add(section.commits[0].hash);
+    }
+    const relevantCommits = ranked
+      .filter(c => wanted.has(c.hash))
+      .map(c => ({ ...c, ownedLines: owned.get(c.hash) || 0 }));
+
+    const { commitDetails, budget } = this.collectCommitDetails(relevantCommits, blamed, lineage);
+    return { commitDetails, lineage, timeline: null, budget, sections: withOwners };
+  }
+
+  /**
+   * Details of the chosen commits, with their diffs fitted into the budget
+   * around the hunks that wrote the blamed lines
+   */
+  collectCommitDetails(commits, blamed, lineage) {
+    const commitDetails = commits.map(c => ({ ...c, ...this.getCommitDetails(c.hash) }));
+
+    // Where each commit wrote the target lines, in its own version of the file
+    const targets = new Map();
+    const addTarget = (hash, file, line) => {
+      const places = targets.get(hash) || [];
+      const place = places.find(p => p.file === file);
+      if (place) place.lines.push(line);
+      else places.push({ file, lines: [line] });
+      targets.set(hash, places);
+    };
+    for (const entry of blamed) addTarget(entry.hash, entry.filename, entry.origLine);
+    for (const hop of lineage.flatMap(group => group.chain)) addTarget(hop.hash, hop.filename, hop.line);
+
+    const budget = this.selectCommitDiffs(commitDetails, targets);
+    return { commitDetails, budget };
+  }
+
+  /**
+   * Full evolution of the range (--history): every revision from git log -L,
+   * summarized into a timeline
+   */
+  async gatherLineHistory(filePath, targetLine, targetEndLine, rev = null, signal = null) {
+    const revisions = this.withoutIgnored(await this.getLineHistory(filePath, targetLine, targetEndLine, rev, signal));
+
+    if (revisions.length === 0) {
+      throw new Error('No git history found for this code');
+    }
+
+    // git log -L diffs only cover the range already; the budget decides how many fit
+    const budget = this.selectCommitDiffs(revisions);
+
+    return {
+      commitDetails: revisions,
+      lineage: null,
+      timeline: this.summarizeTimeline(revisions),
+      budget
+    };
+  }
+
+  /**
+   * Fit the commits' diffs into the diff budget. Sets excerpt (the diff text
+   * for the prompt) and omitted (what was left out) on each commit, and
+   * returns { limit, used, trimmed } for reporting.
+   */
+  selectCommitDiffs(commits, targets = new Map()) {
+    const { excerpts, used, trimmed } = selectDiffs(commits, { budget: this.diffBudget, targets });
+    const omitted = new Map(trimmed.map(t => [t.hash, t.omitted]));
+
+    for (const commit of commits) {
+      commit.excerpt = excerpts.get(commit.hash);
+      commit.omitted = omitted.get(commit.hash) || [];
+    }
+
+    return { limit: this.diffBudget, used, trimmed };
+  }
+
+  /**
+   * Resolve a revision to a full commit hash
+   */
+  resolveRev(rev) {
+    try {
+      // A leading dash would be read as an option
+      if (rev.startsWith('-')) throw new Error();
+      return this.git(['rev-parse', '--verify', '--quiet', `${rev}^{commit}`]).trim();
+    } catch {
+      throw new Error(`Unknown revision: ${rev}`);
+    }
+  }
+
+  /**
+   * Explain a commit against the history it overwrites
+   */
+  async explainCommit(rev, options = {}) {
+    if (!this.isGitRepo()) {
+      throw new Error('Not a git repository. Run git init first.');
+    }
+
+    const head = this.resolveRev(rev);
+    let base;
+    try {
+      base = this.git(['rev-parse', '--verify', '--quiet', `${head}^1`]).trim();
+    } catch {
+      // Root commit: diff against the empty tree
+      base = EMPTY_TREE;
+    }
+
+    return this.explainChange({ base, head, label: `commit ${head.substring(0, 8)}`, onChunk: options.onChunk, signal: options.signal });
+  }
+
+  /**
+   * Explain a range (base..head, or base...head from the merge base)
+   */
+  async explainRange(range, options = {}) {
+    if (!this.isGitRepo()) {
+      throw new Error('Not a git repository. Run git init first.');
+    }
+
+    const match = range.match(/^(.+?)(\.\.\.?)(.+)$/);
+    if (!match) {
+      throw new Error(`Invalid range "${range}". Use <base>..<head>`);
+    }
+
+    let base = this.resolveRev(match[1]);
+    const head = this.resolveRev(match[3]);
+    if (match[2] === '...') {
+      base = this.git(['merge-base', base, head]).trim();
+    }
+
+    return this.explainChange({ base, head, label: `range ${range}`, onChunk: options.onChunk, signal: options.signal });
+  }
+
+  /**
+   * Explain the staged changes (the index against HEAD) before they are
+   * committed. The result's warnings list the hunks the model thinks
+   * reverse the intent of the commits they overwrite.
+   */
+  async explainStaged(options = {}) {
+    if (!this.isGitRepo()) {
+      throw new Error('Not a git repository. Run git init first.');
+    }
+
+    let base;
+    try {
+      base = this.git(['rev-parse', '--verify', '--quiet', 'HEAD']).trim();
+    } catch {
+      // No commits yet
+      base = EMPTY_TREE;
+    }
+    // The index as a tree object, so the staged snapshot diffs (and caches) like a commit
+    const head = this.git(['write-tree']).trim();
+    if (head === this.git(['rev-parse', `${base}^{tree}`]).trim()) {
+      throw new Error('Nothing staged. Stage changes with git add first.');
+    }
+
+    return this.explainChange({ base, head, label: 'staged changes', staged: true, onChunk: options.onChunk, signal: options.signal });
+  }
+
+  /**
+   * For every hunk between base and head, blame the pre-change lines and
+   * ask what prior intent the change is overriding
+   */
+  async explainChange({ base, head, label, staged = false, onChunk, signal }) {
+    const cache = this.dryRun ? null : this.getCache();
+    const cacheSlot = ExplanationCache.hash({ base, head, staged }).substring(0, 16);
+    const cacheKey = ExplanationCache.hash({
+      promptVersion: PROMPT_VERSION,
+      ...this.getModelIdentity(),
+      diffBudget: this.diffBudget,
+      maxCommits: this.maxCommits,
+      ignore: this.ignore,
+      redact: this.redact,
+      trackers: this.getTrackers().map(t => t.name)
+    }).substring(0, 32);
+
+    if (cache) {
+      const cached = cache.get(cacheSlot, cacheKey);
+      if (cached) {
+        if (onChunk) onChunk(cached.explanation);
+        return { ...cached, cached: true };
+      }
+    }
+
+    const change = { label, base, head, staged, commits: staged ? [] : await this.getChangeCommits(base, head, signal) };
+    let { hunks, truncated, targets } = this.getChangeHunks(base, head);
+    let boundary = this.shallowBoundary(hunks.flatMap(hunk => hunk.owners));
+    if (boundary.length > 0 && this.deepenHistory()) {
+      ({ hunks, truncated, targets } = this.getChangeHunks(base, head));
+      boundary = this.shallowBoundary(hunks.flatMap(hunk => hunk.owners));
+    }
+
+    if (hunks.length === 0) {
+      throw new Error(`No text changes to explain in ${label}`);
+    }
+
+    const withheld = [];
+    for (const hunk of hunks) {
+      if (this.redactor.isDenied(hunk.file) || (hunk.oldPath && this.redactor.isDenied(hunk.oldPath))) {
+        Object.assign(hunk, { removed: [], added: [], withheld: true });
+        if (!withheld.includes(hunk.file)) withheld.push(hunk.file);
+      }
+    }
+
+    // The prior commits that own the most overwritten lines matter most
+    const owned = new Map();
+    for (const hunk of hunks) {
+      for (const owner of hunk.owners) {
+        const entry = owned.get(owner.hash) || { ...owner, lines: 0 };
+        entry.lines += owner.lines;
+        owned.set(owner.hash, entry);
+      }
+    }
+
+    const commitDetails = [...owned.values()]
+      .sort((a, b) => b.lines - a.lines)
+      .slice(0, this.maxCommits)
+      .map(c => ({ ...c, ...this.getCommitDetails(c.hash) }));
+    const budget = this.selectCommitDiffs(commitDetails, targets);
+    throwIfCancelled(signal);
+    await this.attachReferences([...change.commits, ...commitDetails]);
+
+    const analysisContext = { change, hunks, truncatedHunks: truncated, commits: commitDetails, boundary, withheld };
+    const { explanation, prompt, redactions } = await this.callAI(analysisContext, {
+      prompt: this.buildChangePrompt(analysisContext),
+      onChunk,
+      signal
+    });
+
+    const result = {
+      context: analysisContext,
+      explanation,
+      commits: commitDetails,
+      change,
+      hunks,
+      budget,
+      redactions,
+      ...(this.dryRun && { dryRun: true, prompt }),
+      ...parseClaims(explanation, [...change.commits, ...commitDetails]),
+      warnings: staged ? extractWarnings(explanation) : [],
+      historyTruncated: boundary.length > 0,
+      boundary,
+      deepenError: (boundary.length > 0 && this.deepenError) || undefined
+    };
+
+    if (cache) {
+      try {
+        cache.set(cacheSlot, cacheKey, this.toCacheEntry(result, prompt));
+      } catch {
+        // A read-only .git shouldn't break explanations
+      }
+    }
+
+    return { ...result, cached: false };
+  }
+
+  /**
+   * Commits that make up a change, oldest first (streamed: a long-lived
+   * branch can hold thousands)
+   */
+  async getChangeCommits(base, head, signal = null) {
+    const revs = base === EMPTY_TREE ? ['-1', head] : [`${base}..${head}`];
+
+    const commits = [];
+    for await (const chunk of this.gitRecords(['log', '--reverse', '--format=%x1e%H%x1f%an%x1f%at%x1f%B', ...revs, '--'], { signal })) {
+      if (!chunk.trim()) continue;
+      const [hash, author, timestamp, message] = chunk.split('\x1f');
+      commits.push({
+        hash,
+        author,
+        timestamp: parseInt(timestamp),
+        message: message.trim(),
+        summary: message.trim().split('\n')[0]
+      });
+    }
+    return commits;
+  }
+
+  /**
+   * Hunks between base and head, each with the blame of the lines it
+   * replaces (or, for pure insertions, the line it was inserted after)
+   */
+  getChangeHunks(base, head) {
+    const output = this.git(['-c', 'core.quotePath=false', 'diff', '-U0', '-M', '--no-color', '--no-ext-diff', base, head, '--']);
+    const root = this.git(['rev-parse', '--show-toplevel']).trim();
+
+    const hunks = [];
+    // Lines each prior commit wrote that the change replaces, for diff selection
+    const targets = new Map();
+    let total = 0;
+    for (const file of parseDiff(output)) {
+      if (file.binary) continue;
+
+      for (const hunk of file.hunks) {
+        total++;
+        if (hunks.length >= MAX_CHANGE_HUNKS) continue;
+
+        let kind = hunk.added.length === 0 ? 'deleted' : 'modified';
+        let start = hunk.oldStart;
+        let end = hunk.oldStart + hunk.oldCount - 1;
+        if (hunk.oldCount === 0) {
+          kind = 'inserted';
+          end = start;
+        }
+
+        let owners = [];
+        if (file.oldPath && start > 0) {
+          const blamed = this.blameLines(join(root, file.oldPath), { lineNumber: start, endLine: end, rev: base });
+          const counts = new Map();
+          for (const entry of blamed) {
+            const places = targets.get(entry.hash) || [];
+            const place = places.find(p => p.file === entry.filename);
+            if (place) place.lines.push(entry.origLine);
+            else places.push({ file: entry.filename, lines: [entry.origLine] });
+            targets.set(entry.hash, places);
+
+            const owner = counts.get(entry.hash) || {
+              hash: entry.hash,
+              author: entry.author,
+              timestamp: entry.timestamp,
+              summary: entry.summary,
+              filename: entry.filename,
+              lines: 0
+            };
+            owner.lines++;
+            counts.set(entry.hash, owner);
+          }
+          owners = [...counts.values()].sort((a, b) => b.lines - a.lines);
         }
+
+        hunks.push({
+          file: file.newPath || file.oldPath,
+          oldPath: file.oldPath,
+          kind,
+          oldStart: hunk.oldStart,
+          oldCount: hunk.oldCount,
+          newStart: hunk.newStart,
+          newCount: hunk.newCount,
+          removed: hunk.removed,
+          added: hunk.added,
+          owners
+        });
       }
-      // Don't look too far
-      if (lineNumber - i > 50) break;
     }
-    
-    return null;
+
+    return { hunks, truncated: total - hunks.length, targets };
   }
 
   /**
-   * Search for function definition in file
+   * Call AI to explain the code history. Returns { explanation, prompt,
+   * redactions }: the prompt as sent, after redaction.
    */
-  findFunction(filePath, functionName) {
-    const content = readFileSync(filePath, 'utf-8');
-    const lines = content.split('\n');
-    
-    const patterns = [
-      new RegExp(`function\\s+${functionName}\\s*\\(`),
-      new RegExp(`const\\s+${functionName}\\s*=`),
-      new RegExp(`def\\s+${functionName}\\s*\\(`),
-      new RegExp(`func\\s+${functionName}\\s*\\(`),
-      new RegExp(`\\b${functionName}\\s*:\\s*function`),
-    ];
-    
-    for (let i = 0; i < lines.length; i++) {
-      for (const pattern of patterns) {
-        if (pattern.test(lines[i])) {
-          return i + 1;
-        }
+  async callAI(context, options = {}) {
+    const { prompt = this.buildPrompt(context), onChunk, signal } = options;
+
+    let sent = null;
+    const explanation = await this.converse([{
+      role: 'user',
+      content: prompt
+    }], {
+      onChunk,
+      signal,
+      target: describeTarget({ context, change: context.change }),
+      withheld: context.withheld,
+      onSend: (messages, redactions) => {
+        sent = { prompt: messages[0].content, redactions };
       }
-    }
-    
-    throw new Error(`Function "${functionName}" not found in ${filePath}`);
+    });
+
+    return { explanation, ...sent };
   }
 
   /**
-   * Explain using AI
+   * Send a whole conversation to the provider and return the reply.
+   * With onChunk, the reply is streamed (if the provider supports it) and
+   * onChunk is called with each piece of text as it arrives. Aborting
+   * signal cancels the call with an error whose code is 'CANCELLED'.
+   *
+   * Every message is redacted first (see lib/redact.js); onSend(messages,
+   * redactions) gets what is actually sent. target names the explanation
+   * in the audit log, and withheld lists files already left out. A dry
+   * run stops before the provider and returns ''.
    */
-  async explain(filePath, options = {}) {
-    const { lineNumber, functionName, endLine } = options;
-    
-    // Validate file
-    if (!existsSync(filePath)) {
-      throw new Error(`File not found: ${filePath}`);
-    }
+  async converse(messages, options = {}) {
+    const { onChunk, signal, target = null, withheld = [], onSend } = options;
 
-    if (!this.isGitRepo()) {
-      throw new Error('Not a git repository. Run git init first.');
-    }
+    const redactions = withheld.map(path => ({ detector: 'path', path }));
+    const sent = messages.map(message => {
+      const { text, redactions: found } = this.redactor.redact(message.content);
+      redactions.push(...found);
+      return { ...message, content: text };
+    });
+    this.recordRedactions(target, redactions);
+    if (onSend) onSend(sent, redactions);
+    if (this.onPrompt) this.onPrompt(sent);
+    if (this.dryRun) return '';
 
-    if (!this.isFileTracked(filePath)) {
-      throw new Error(`File not tracked by git: ${filePath}`);
-    }
+    const provider = this.getProvider();
 
-    // Determine what to analyze
-    let targetLine = lineNumber;
-    let targetEndLine = endLine;
-    
-    if (functionName) {
-      targetLine = this.findFunction(filePath, functionName);
-      // Try to find end of function (simple heuristic)
-      const content = readFileSync(filePath, 'utf-8');
-      const lines = content.split('\n');
-      let braceCount = 0;
-      let started = false;
-      for (let i = targetLine - 1; i < lines.length; i++) {
-        for (const char of lines[i]) {
-          if (char === '{') {
-            braceCount++;
-            started = true;
-          } else if (char === '}') {
-            braceCount--;
-            if (started && braceCount === 0) {
-              targetEndLine = i + 1;
-              break;
-            }
+    for (let attempt = 0; ; attempt++) {
+      let streamed = false;
+      throwIfCancelled(signal);
+
+      try {
+        if (onChunk && provider.stream) {
+          let text = '';
+          for await (const chunk of provider.stream({ messages: sent, maxTokens: 2048, signal })) {
+            throwIfCancelled(signal);
+            text += chunk;
+            streamed = true;
+            onChunk(chunk);
           }
+          return text;
         }
-        if (targetEndLine) break;
-      }
-    }
 
-    // Get git history
-    const commits = this.getBlame(filePath, targetLine, targetEndLine);
-    
-    if (commits.length === 0) {
-      throw new Error('No git history found for this code');
+        const text = await provider.complete({
+          messages: sent,
+          maxTokens: 2048,
+          signal
+        });
+        throwIfCancelled(signal);
+        if (onChunk) onChunk(text);
+        return text;
+      } catch (error) {
+        throwIfCancelled(signal);
+        // Retry rate limits with backoff, unless part of the answer was already shown
+        if (isRateLimited(error) && !streamed && attempt < this.retries) {
+          await sleep(retryDelay(error, attempt, this.retryDelay), signal);
+          continue;
+        }
+        throw new Error(`AI API call failed: ${error.message}`);
+      }
     }
-
-    // Get detailed commit info (limit to most relevant)
-    const relevantCommits = commits.slice(0, 5);
-    const commitDetails = relevantCommits.map(c => {
-      const details = this.getCommitDetails(c.hash);
-      return {
-        ...c,
-        ...details
-      };
-    });
-
-    // Get code context
-    const context = this.getCodeContext(filePath, targetLine || 1);
-    
-    // Build context for AI
-    const analysisContext = {
-      file: filePath,
-      lineNumber: targetLine,
-      functionName,
-      code: context.code,
-      commits: commitDetails
-    };
-
-    // Call AI
-    const explanation = await this.callAI(analysisContext);
-
-    return {
-      context: analysisContext,
-      explanation,
-      commits: commitDetails
-    };
   }
 
   /**
-   * Call AI to explain the code history
+   * Stream an explanation. Yields { type: 'chunk', text } as the answer
+   * arrives, then a final { type: 'result', result }.
    */
-  async callAI(context) {
-    const apiKey = process.env.ANTHROPIC_API_KEY || process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      throw new Error(
-        'No API key found. Set either ANTHROPIC_API_KEY or OPENAI_API_KEY environment variable.\n' +
-        'Get your key at: https://console.anthropic.com/settings/keys'
-      );
-    }
-
-    // For now, we'll use Anthropic. OpenAI support can be added later
-    if (!process.env.ANTHROPIC_API_KEY) {
-      throw new Error('Currently only ANTHROPIC_API_KEY is supported. OpenAI support coming soon.');
-    }
+  explainStream(filePath, options = {}) {
+    return streamChunks(onChunk => this.explain(filePath, { ...options, onChunk }));
+  }
 
-    const client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+  /**
+   * Streaming variant of explainCommit
+   */
+  explainCommitStream(rev, options = {}) {
+    return streamChunks(onChunk => this.explainCommit(rev, { ...options, onChunk }));
+  }
 
-    const prompt = this.buildPrompt(context);
+  /**
+   * Streaming variant of explainRange
+   */
+  explainRangeStream(range, options = {}) {
+    return streamChunks(onChunk => this.explainRange(range, { ...options, onChunk }));
+  }
 
-    try {
-      const message = await client.messages.create({
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 2048,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
-      });
+  /**
+   * Start a follow-up conversation about an explain/explainCommit result
+   */
+  startChat(result) {
+    const prompt = result.chatPrompt
+      ?? (result.change ? this.buildChangePrompt(result.context) : this.buildPrompt(result.context));
+    return new ChatSession(this, result, prompt);
+  }
 
-      return message.content[0].text;
-    } catch (error) {
-      throw new Error(`AI API call failed: ${error.message}`);
-    }
+  /**
+   * What the cache keeps of a result: what the output formats and --json
+   * read, plus the prompt as sent for --chat. Commit diffs and the rest of
+   * the analysis context only went into that prompt.
+   */
+  toCacheEntry(result, prompt) {
+    const { context, commits, ...rest } = result;
+    return {
+      ...rest,
+      context: Object.fromEntries(CACHED_CONTEXT.filter(key => key in context).map(key => [key, context[key]])),
+      commits: commits.map(({ diff, excerpt, files, ...commit }) => commit),
+      chatPrompt: prompt
+    };
   }
 
   /**
    * Build prompt for AI
    */
   buildPrompt(context) {
-    const { file, lineNumber, functionName, code, commits } = context;
+    if (context.sections) {
+      return this.buildFilePrompt(context);
+    }
 
-    const commitInfo = commits.map((c, i) => {
-      return `
-## Commit ${i + 1}: ${c.hash.substring(0, 8)}
-Author: ${c.author}
-Date: ${new Date(c.timestamp * 1000).toISOString().split('T')[0]}
-Message: ${c.message}
+    const { file, lineNumber, functionName, rev, code, commits, timeline } = context;
 
-Relevant changes:
-\`\`\`
-${c.diff.split('\n').slice(0, 100).join('\n')}
-\`\`\`
-`;
-    }).join('\n');
+    const history = timeline
+      ? `Line history (oldest first, every revision that touched these lines):
+${this.buildTimelinePrompt(timeline, commits)}`
+      : `Git history (most recent first):
+${this.buildCommitPrompt(commits)}`;
 
     const target = functionName 
       ? `function "${functionName}"`
@@ -336,14 +2146,13 @@ ${c.diff.split('\n').slice(0, 100).join('\n')}
 File: ${file}
 Target: ${target}
 
-Current code:
+${rev ? `Code at revision ${rev}:` : 'Current code:'}
 \`\`\`
 ${code}
 \`\`\`
 
-Git history (most recent first):
-${commitInfo}
-
+${history}
+${formatHistoryNotes(context)}
 Task: Explain WHY this code exists. Focus on:
 1. What problem was it solving?
 2. Why was this approach chosen?
@@ -351,34 +2160,403 @@ Task: Explain WHY this code exists. Focus on:
 4. Any important context from commits?
 
 Be concise but insightful. Write like a developer explaining to another developer, not a formal report.
-Format: 2-3 paragraphs, no bullet points unless listing multiple reasons.`;
+Format: 2-3 paragraphs, no bullet points unless listing multiple reasons.
+
+${CITATION_INSTRUCTIONS}`;
   }
 
   /**
-   * Format output for display
+   * Build prompt for a whole file: its sections, then the commits that own
+   * the most lines. Asks for a file summary and a paragraph per section
+   * under headings parseSections can find again.
    */
-  formatOutput(result, options = {}) {
-    if (this.json) {
-      return JSON.stringify({
-        explanation: result.explanation,
-        commits: result.commits.map(c => ({
+  buildFilePrompt(context) {
+    const { file, rev, sections, skippedSections = 0, commits } = context;
+
+    const sectionInfo = sections.map((section, i) => {
+      const owners = (section.commits || [])
+        .map(o => `${o.hash.substring(0, 8)} (${o.lines} line${o.lines === 1 ? '' : 's'})`)
+        .join(', ');
+      return `### Section ${i + 1}: ${sectionHeading(section)}
+Kind: ${section.kind}
+${owners ? `Lines owned by: ${owners}` : 'Not committed yet'}
+\`\`\`
+${section.preview}
+\`\`\``;
+    }).join('\n\n');
+
+    return `You are a code archaeologist analyzing git history to explain why code exists.
+
+File: ${file}
+Target: the whole file
+
+${rev ? `Sections of the file at revision ${rev}` : 'Sections of the file'} (first lines of each):
+
+${sectionInfo}${skippedSections > 0 ? `\n\n(${skippedSections} more sections not shown)` : ''}
+
+Git history (commits owning the most lines first):
+${this.buildCommitPrompt(commits)}
+${formatHistoryNotes(context)}
+Task: Explain WHY this file exists and how each part of it came to be.
+Start with a "## Summary" heading and 1-2 paragraphs on what the file is for, the problems that shaped it and how it changed over time, led by the commits that own most of it.
+Then, for each section above, its heading exactly as listed (e.g. "## ${sectionHeading(sections[0])}") and a short paragraph on why that part exists.
+
+Be concise but insightful. Write like a developer explaining to another developer, not a formal report.
+
+${CITATION_INSTRUCTIONS}`;
+  }
+
+  /**
+   * Build prompt for explaining a commit or range
+   */
+  buildChangePrompt(context) {
+    const { change, hunks, truncatedHunks, commits, boundary = [] } = context;
+    const staged = change.staged === true;
+
+    const changeInfo = change.commits.map(c => `### ${c.hash.substring(0, 8)} - ${c.author}, ${formatDate(c.timestamp)}
+${c.message}${formatReferences(c.references)}`).join('\n\n');
+
+    const hunkInfo = hunks.map(h => {
+      const where = h.oldCount > 0
+        ? `${h.oldPath || h.file} lines ${h.oldStart}-${h.oldStart + h.oldCount - 1}`
+        : `${h.file} after line ${h.oldStart}`;
+      const owners = h.owners.length === 0
+        ? 'Previously: new code, no prior history'
+        : `Previously written by: ${h.owners.map(o => `${o.hash.substring(0, 8)} "${o.summary}" (${o.lines} line${o.lines === 1 ? '' : 's'})`).join(', ')}`;
+      const lines = [...h.removed.map(l => `-${l}`), ...h.added.map(l => `+${l}`)];
+      if (h.withheld) {
+        return `## ${where} (${h.kind})
+${owners}
+${WITHHELD}`;
+      }
+
+      return `## ${where} (${h.kind})
+${owners}
+\`\`\`diff
+${lines.slice(0, 40).join('\n')}${lines.length > 40 ? `\n... ${lines.length - 40} more lines` : ''}
+\`\`\``;
+    }).join('\n\n');
+
+    return `You are a code archaeologist reviewing a change against the history it overwrites.
+
+Target: ${change.label}
+
+${staged ? 'The change is staged for the next commit and has no commit message yet.' : `The change (oldest first):
+${changeInfo}`}
+
+Hunks and the history they touch:
+${hunkInfo}${truncatedHunks > 0 ? `\n\n(${truncatedHunks} more hunks not shown)` : ''}
+
+Prior commits that wrote the replaced code (most lines first):
+${this.buildCommitPrompt(commits)}
+${boundary.length === 0 ? '' : `\n${formatTruncated(boundary)}\n`}
+Task: Explain what this change overrides. Focus on:
+1. What was the replaced code originally for, according to the prior commits?
+2. Does the change keep, extend or reverse that intent?
+3. Which hunks undo a deliberate earlier decision (a bug fix, workaround or edge case)?
+
+Be concise but insightful. Write like a developer explaining to another developer, not a formal report.
+Format: a short overview paragraph, then one short paragraph per notable area of the change.${staged ? `
+
+Finally, for each hunk that reverses the stated intent of the commit that wrote the code it replaces (reintroducing a bug that was fixed, removing a workaround or an edge case), add a line of the form:
+WARNING: <file>:<line> <what it reverses and why that commit did it, citing the commit hash>
+Write no WARNING lines if nothing is reversed.` : ''}
+
+${CITATION_INSTRUCTIONS}`;
+  }
+
+  /**
+   * Commit section for blame-based prompts
+   */
+  buildCommitPrompt(commits) {
+    const merges = new Set();
+    return commits.map((c, i) => {
+      return `
+## Commit ${i + 1}: ${c.hash.substring(0, 8)}
+Author: ${c.author}
+Date: ${new Date(c.timestamp * 1000).toISOString().split('T')[0]}${c.ownedLines ? `
+Lines of the file it still owns: ${c.ownedLines}` : ''}
+Message: ${c.message}${formatReferences(c.references)}${formatMerge(c, merges)}
+${c.shallow ? `
+(Shallow clone boundary: history stops here, so this commit's diff is not available)
+` : `
+Relevant changes:
+\`\`\`diff
+${c.excerpt ?? c.diff}
+\`\`\`${formatOmitted(c.omitted)}
+`}`;
+    }).join('\n');
+  }
+
+  /**
+   * Timeline section for --history prompts
+   */
+  buildTimelinePrompt(timeline, revisions) {
+    const byHash = new Map(revisions.map(r => [r.hash, r]));
+    const merges = new Set();
+
+    return timeline.map(entry => {
+      const revisionInfo = entry.hashes.map(hash => {
+        const r = byHash.get(hash);
+        return `### Commit ${hash.substring(0, 8)}
+Message: ${r.message}${formatReferences(r.references)}${formatMerge(r, merges)}
+
+Changes to these lines:
+\`\`\`diff
+${r.excerpt ?? r.diff}
+\`\`\`${formatOmitted(r.omitted)}`;
+      }).join('\n\n');
+
+      return `
+## ${formatDateSpan(entry.start, entry.end)} - ${entry.author} (${entry.kind}, +${entry.added} -${entry.removed})
+${revisionInfo}
+`;
+    }).join('\n');
+  }
+
+  /**
+   * Plain-object form of a result, as printed by --json
+   */
+  serializeResult(result) {
+    return {
+      explanation: result.explanation,
+      rev: result.context?.rev || undefined,
+      commits: result.commits.map(c => ({
+        hash: c.hash,
+        author: c.author,
+        date: new Date(c.timestamp * 1000).toISOString(),
+        message: c.message,
+        references: c.references,
+        merge: c.merge && {
+          hash: c.merge.hash,
+          message: c.merge.message,
+          references: c.merge.references,
+          commits: c.merge.commits.map(b => ({
+            hash: b.hash,
+            author: b.author,
+            date: new Date(b.timestamp * 1000).toISOString(),
+            summary: b.summary
+          }))
+        }
+      })),
+      cached: result.cached,
+      lineage: result.lineage,
+      timeline: result.timeline,
+      change: result.change && {
+        label: result.change.label,
+        base: result.change.base,
+        head: result.change.head,
+        staged: result.change.staged,
+        commits: result.change.commits.map(c => ({
           hash: c.hash,
           author: c.author,
           date: new Date(c.timestamp * 1000).toISOString(),
-          message: c.message
+          message: c.message,
+          references: c.references
         }))
-      }, null, 2);
+      },
+      hunks: result.hunks,
+      relations: result.relations,
+      historyWarnings: result.historyWarnings,
+      budget: result.budget,
+      uncommitted: result.uncommitted,
+      warnings: result.warnings,
+      summary: result.summary,
+      sections: result.sections,
+      owners: result.owners?.map(owner => ({
+        ...owner,
+        lastChanged: new Date(owner.lastChanged * 1000).toISOString(),
+        lastActive: new Date(owner.lastActive * 1000).toISOString()
+      })),
+      inactiveDays: result.inactiveDays,
+      claims: result.claims,
+      confidence: result.confidence,
+      unverifiedCitations: result.unverifiedCitations,
+      historyTruncated: result.historyTruncated,
+      boundary: result.boundary,
+      deepenError: result.deepenError,
+      redactions: result.redactions,
+      dryRun: result.dryRun,
+      prompt: result.prompt
+    };
+  }
+
+  /**
+   * Format output for display
+   */
+  formatOutput(result, options = {}) {
+    if (result.dryRun && !this.json) {
+      return this.formatPrompt(result);
+    }
+    if (this.format === 'markdown') {
+      return renderMarkdown([{ heading: describeTarget(result), result }]);
+    }
+    if (this.format === 'html') {
+      return renderHtml([{ result }], { title: describeTarget(result) });
+    }
+    if (this.json) {
+      return JSON.stringify(this.serializeResult(result), null, 2);
+    }
+    if (result.owners) {
+      return this.formatOwners(result);
     }
 
-    const c = this.noColor ? (x) => x : chalk;
-    const lines = [];
+    return this.formatHeader(result.historyWarnings) + result.explanation + this.formatFooter(result);
+  }
 
-    lines.push('');
-    lines.push(c.blue.bold('📖 Git History Explanation'));
-    lines.push(c.gray('─'.repeat(60)));
-    lines.push('');
-    lines.push(result.explanation);
-    lines.push('');
+  /**
+   * The --owners view: each author's share of the lines, whether they are
+   * still around, and what their commits say they intended
+   */
+  formatOwners(result) {
+    const c = this.noColor ? new Chalk({ level: 0 }) : chalk;
+    const lines = ['', c.blue.bold(`👥 Who knows ${describeTarget(result)}`) + c.gray(` (${result.lines} line${result.lines === 1 ? '' : 's'})`), c.gray('─'.repeat(60)), ''];
+
+    for (const owner of result.owners) {
+      const share = `${Math.round(owner.share * 100)}%`.padStart(4);
+      const who = owner.email ? `${owner.name} <${owner.email}>` : owner.name;
+      const status = owner.active
+        ? c.gray(`last commit ${formatDate(owner.lastActive)}`)
+        : c.yellow(`inactive since ${formatDate(owner.lastActive)}`);
+      lines.push(`${c.bold(share)}  ${c.cyan(who)}  ` + c.gray(`${owner.lines} line${owner.lines === 1 ? '' : 's'}, ${owner.commits.length} commit${owner.commits.length === 1 ? '' : 's'}, `) + status);
+      if (owner.committers.length > 0) {
+        lines.push(c.gray(`      committed by ${owner.committers.join(', ')}`));
+      }
+      if (owner.intent) {
+        lines.push(`      ${owner.intent}`);
+      }
+    }
+    if (result.uncommitted > 0) {
+      lines.push(c.gray(`      ${result.uncommitted} line${result.uncommitted === 1 ? '' : 's'} not committed yet`));
+    }
+
+    const ask = result.owners.find(owner => owner.active);
+    lines.push('', c.gray('─'.repeat(60)));
+    lines.push(ask
+      ? `Ask first: ${c.bold(ask.name)}${ask.email ? c.gray(` <${ask.email}>`) : ''}`
+      : c.yellow(`Nobody who wrote this code has committed in the last ${result.inactiveDays} days.`));
+
+    const redacted = formatRedactions(result.redactions, c);
+    if (redacted) lines.push(redacted);
+    return lines.join('\n');
+  }
+
+  /**
+   * One Markdown or HTML document for several results; sections are
+   * { heading, result } or { heading, error }
+   */
+  formatDocument(sections, title = 'git-why') {
+    return this.format === 'html'
+      ? renderHtml(sections, { title })
+      : renderMarkdown(sections, { title });
+  }
+
+  /**
+   * A dry run's output: the prompt exactly as it would have been sent
+   */
+  formatPrompt(result) {
+    const c = this.noColor ? new Chalk({ level: 0 }) : chalk;
+    return [
+      '',
+      c.blue.bold(`🔍 Prompt for ${describeTarget(result)}`) + c.gray(' (dry run, nothing was sent)'),
+      c.gray('─'.repeat(60)),
+      '',
+      result.prompt,
+      '',
+      c.gray('─'.repeat(60)),
+      formatRedactions(result.redactions, c) || c.gray('Nothing redacted')
+    ].join('\n');
+  }
+
+  /**
+   * Everything printed before the explanation text, with any history
+   * warnings (reverts, fixes, cherry-picks) at the top
+   */
+  formatHeader(warnings = []) {
+    const c = this.noColor ? new Chalk({ level: 0 }) : chalk;
+    const lines = ['', c.blue.bold('📖 Git History Explanation'), c.gray('─'.repeat(60)), ''];
+    for (const warning of warnings) {
+      lines.push(c.yellow(`⚠️  ${warning}`));
+    }
+    if (warnings.length > 0) lines.push('');
+    return [...lines, ''].join('\n');
+  }
+
+  /**
+   * Everything printed after the explanation text (verbose details, footer)
+   */
+  formatFooter(result) {
+    const c = this.noColor ? new Chalk({ level: 0 }) : chalk;
+    const lines = ['', ''];
+
+    if (result.uncommitted?.length > 0 && result.commits.length > 0) {
+      lines.push(c.yellow(`Not committed yet: line${result.uncommitted.length === 1 ? '' : 's'} ${formatLineRanges(result.uncommitted)} (no history)`));
+      lines.push('');
+    }
+
+    const redacted = formatRedactions(result.redactions, c);
+    if (redacted) {
+      lines.push(redacted);
+      lines.push('');
+    }
+
+    if (result.historyTruncated) {
+      const at = result.boundary.map(hash => hash.substring(0, 8)).join(', ');
+      lines.push(c.yellow(`History truncated: this shallow clone stops at ${at}; older history was not considered.`));
+      lines.push(c.yellow(result.deepenError || 'Run again with --deepen <n> or --unshallow to fetch more.'));
+      lines.push('');
+    }
+
+    if (result.warnings?.length > 0) {
+      lines.push(c.red.bold(`⚠️  Reverses earlier intent (${result.warnings.length}):`));
+      for (const warning of result.warnings) {
+        lines.push(c.red(`  - ${warning}`));
+      }
+      lines.push('');
+    }
+
+    if (result.sections) {
+      lines.push(c.gray('Sections (lines owned by each commit):'));
+      for (const section of result.sections) {
+        const owners = section.commits.map(o => `${o.hash.substring(0, 8)} ${o.lines}`).join(', ');
+        lines.push('  ' + sectionHeading(section) + c.gray(owners ? ` ${owners}` : ' not committed') +
+          (section.explanation ? '' : c.yellow(' (not explained)')));
+      }
+      const skipped = result.context.skippedSections;
+      if (skipped > 0) {
+        lines.push(c.gray(`  ${skipped} more section${skipped === 1 ? '' : 's'} not explained`));
+      }
+      lines.push('');
+    }
+
+    if (result.claims?.length > 0) {
+      const commits = new Map([...(result.change?.commits || []), ...withMerges(result.commits)].map(commit => [commit.hash, commit]));
+      const cited = new Map();
+      for (const citation of result.claims.flatMap(claim => claim.citations)) {
+        if (citation.verified) cited.set(citation.hash, (cited.get(citation.hash) || 0) + 1);
+      }
+      const speculative = result.claims.filter(claim => claim.speculative);
+
+      // The confidence line is part of the explanation already
+      if (cited.size > 0) {
+        lines.push(c.gray('Sources:'));
+        for (const [hash, count] of cited) {
+          const commit = commits.get(hash);
+          const summary = commit.summary || commit.message.split('\n')[0];
+          lines.push('  ' + c.cyan(hash.substring(0, 8)) + c.gray(` ${summary} (${count} claim${count === 1 ? '' : 's'})`));
+        }
+      }
+      if (result.unverifiedCitations.length > 0) {
+        lines.push(c.red(`⚠️  Cited but not in the analyzed history: ${result.unverifiedCitations.join(', ')}`));
+      }
+      if (speculative.length > 0) {
+        lines.push(c.yellow(`Speculative or unsupported (${speculative.length}):`));
+        for (const claim of speculative) {
+          lines.push(c.yellow(`  ? ${claim.text}`));
+        }
+      }
+      lines.push('');
+    }
 
     if (this.verbose) {
       lines.push(c.gray('─'.repeat(60)));
@@ -390,12 +2568,91 @@ Format: 2-3 paragraphs, no bullet points unless listing multiple reasons.`;
         lines.push(c.cyan(`${commit.hash.substring(0, 8)}`) + c.gray(` - ${date}`));
         lines.push(c.white(`  ${commit.author}`));
         lines.push(c.gray(`  ${commit.summary || commit.message.split('\n')[0]}`));
+        for (const ref of commit.references || []) {
+          lines.push(c.gray('  ') + c.green(ref.label) + c.gray(ref.error ? ` (lookup failed: ${ref.error})` : ` ${ref.title}`));
+        }
+        if (commit.merge) {
+          const others = commit.merge.commits.length - 1 + commit.merge.truncated;
+          lines.push(c.gray(`  merged in ${commit.merge.hash.substring(0, 8)} ${commit.merge.summary}`) +
+            c.gray(others > 0 ? ` (with ${others} other commit${others === 1 ? '' : 's'})` : ''));
+        }
+        lines.push('');
+      }
+
+      if (result.relations?.length > 0) {
+        lines.push(c.yellow.bold('Commit relationships:'));
+        lines.push('');
+        for (const chain of result.chains) {
+          lines.push(chain.map(relation => c.gray(formatRelation(relation))).join('\n' + c.gray('  which ')));
+        }
+        lines.push('');
+      }
+
+      if (result.timeline) {
+        lines.push(c.yellow.bold('History:'));
+        lines.push('');
+
+        for (const entry of result.timeline) {
+          const what = entry.kind === 'introduced' ? 'introduced these lines' : 'changed them';
+          const times = entry.hashes.length > 1 ? ` in ${entry.hashes.length} commits` : '';
+          lines.push(c.cyan(formatDateSpan(entry.start, entry.end)) + ` ${entry.author} ${what}${times}` + c.gray(` (+${entry.added} -${entry.removed})`));
+          entry.summaries.forEach((summary, i) => {
+            lines.push(c.gray(`  ${entry.hashes[i].substring(0, 8)} ${summary}`));
+          });
+          lines.push('');
+        }
+      }
+
+      if (result.hunks) {
+        lines.push(c.yellow.bold('Hunks and the history they overwrite:'));
+        lines.push('');
+
+        for (const hunk of result.hunks) {
+          const where = hunk.oldCount > 0
+            ? `${hunk.file}:${hunk.oldStart}-${hunk.oldStart + hunk.oldCount - 1}`
+            : `${hunk.file}:${hunk.oldStart}+`;
+          lines.push(c.white(where) + c.gray(` (${hunk.kind}, -${hunk.removed.length} +${hunk.added.length})`));
+          if (hunk.owners.length === 0) {
+            lines.push(c.gray('  no prior history'));
+          }
+          for (const owner of hunk.owners) {
+            lines.push('  ' + c.cyan(owner.hash.substring(0, 8)) + c.gray(` ${formatDate(owner.timestamp)} ${owner.author}: ${owner.summary} (${owner.lines} line${owner.lines === 1 ? '' : 's'})`));
+          }
+          lines.push('');
+        }
+      }
+
+      if (result.budget?.trimmed.length > 0) {
+        lines.push(c.yellow.bold(`Trimmed from the prompt (diff budget ${result.budget.used}/${result.budget.limit} tokens):`));
+        lines.push('');
+
+        for (const { hash, omitted } of result.budget.trimmed) {
+          for (const o of omitted) {
+            lines.push('  ' + c.cyan(hash.substring(0, 8)) + c.gray(` ${formatTrimmedAmount(o)}${o.file} (${o.reason})`));
+          }
+        }
+        lines.push('');
+      }
+
+      const moved = movedLineage(result.lineage, result.context?.file);
+      if (moved.length > 0) {
+        lines.push(c.yellow.bold('Line ancestry:'));
         lines.push('');
+
+        for (const group of moved) {
+          lines.push(c.white(`Lines ${formatLineRanges(group.lines)}`));
+          for (const hop of group.chain) {
+            const date = new Date(hop.timestamp * 1000).toISOString().split('T')[0];
+            const label = hop.kind === 'introduced' ? c.green('introduced') : c.magenta('moved     ');
+            lines.push(`  ${label} ` + c.cyan(hop.hash.substring(0, 8)) + c.gray(` ${date} ${hop.filename}:${hop.line}  ${hop.summary}`));
+          }
+          lines.push('');
+        }
       }
     }
 
     lines.push(c.gray('─'.repeat(60)));
-    lines.push(c.gray.italic('Explained by git-why'));
+    lines.push(c.gray.italic(result.cached ? 'Explained by git-why (cached)' : 'Explained by git-why'));
     lines.push('');
 
     return lines.join('\n');
@@ -0,0 +1,185 @@
+import { execFileSync, spawn } from 'child_process';
+
+export const DEFAULT_MAX_BUFFER = 64 * 1024 * 1024;
+export const DEFAULT_TIMEOUT = 60 * 1000;
+
+// Keep this much of stderr for error messages
+const MAX_STDERR = 16 * 1024;
+
+const MISSING_FILE = /no such path|does not exist in|exists on disk, but not in|did not match any file|no such file or directory|Path '.*' does not exist/i;
+const MISSING_OBJECT = /bad object|bad revision|unable to read|missing (blob|tree|commit)|invalid object|not a valid object|could not read|unknown revision/i;
+
+/**
+ * Run git with an argument array (no shell, so paths and revisions are
+ * never interpreted) and return stdout.
+ *
+ * Options: maxBuffer (bytes of stdout), timeout (ms), input, cwd.
+ * Failures throw an Error whose code is one of:
+ *
+ *   'MISSING_FILE'      the path is not in the working tree or the revision
+ *   'SHALLOW_HISTORY'   the objects needed are past a shallow clone's boundary
+ *   'TIMEOUT'           git ran longer than timeout
+ *   'OUTPUT_TOO_LARGE'  stdout went past maxBuffer
+ *   'GIT_FAILED'        anything else
+ *
+ * with args, exitCode and stderr for details.
+ */
+export function runGit(args, options = {}) {
+  const { maxBuffer = DEFAULT_MAX_BUFFER, timeout = DEFAULT_TIMEOUT, input, cwd } = options;
+
+  try {
+    return execFileSync('git', args, {
+      encoding: 'utf-8',
+      maxBuffer,
+      timeout,
+      input,
+      cwd,
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+  } catch (error) {
+    throw gitError(args, {
+      stderr: String(error.stderr || ''),
+      exitCode: error.status ?? null,
+      timedOut: error.code === 'ETIMEDOUT',
+      tooLarge: error.code === 'ENOBUFS',
+      spawnError: error.status === null && !error.signal ? error : null,
+      maxBuffer,
+      timeout,
+      cwd
+    });
+  }
+}
+
+/**
+ * Run git for its exit status: true if it succeeded, false if git said
+ * no. Running past the limits (TIMEOUT, OUTPUT_TOO_LARGE) still throws.
+ */
+export function gitSucceeds(args, options = {}) {
+  try {
+    runGit(args, options);
+    return true;
+  } catch (error) {
+    if (error.code === 'TIMEOUT' || error.code === 'OUTPUT_TOO_LARGE') throw error;
+    return false;
+  }
+}
+
+/**
+ * Run git and yield stdout line by line as it arrives, for output too
+ * large to hold at once (e.g. git log over a whole history). maxBuffer
+ * limits a single line. Stopping early (break) ends the git process;
+ * aborting signal does too, with an error whose code is 'CANCELLED'.
+ * Failures throw the same errors as runGit once the output ends.
+ */
+export async function* streamGit(args, options = {}) {
+  const { maxBuffer = DEFAULT_MAX_BUFFER, timeout = DEFAULT_TIMEOUT, cwd, signal } = options;
+
+  const child = spawn('git', args, { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+  let stderr = '';
+  child.stderr.setEncoding('utf-8');
+  child.stderr.on('data', chunk => {
+    if (stderr.length < MAX_STDERR) stderr += chunk;
+  });
+  const exited = new Promise(resolve => {
+    child.on('close', (exitCode, exitSignal) => resolve({ exitCode, exitSignal }));
+    child.on('error', spawnError => resolve({ spawnError }));
+  });
+
+  let timedOut = false;
+  const timer = timeout ? setTimeout(() => {
+    timedOut = true;
+    child.kill();
+  }, timeout) : null;
+  const abort = () => child.kill();
+  signal?.addEventListener('abort', abort);
+
+  try {
+    let pending = '';
+    child.stdout.setEncoding('utf-8');
+    for await (const chunk of child.stdout) {
+      const lines = (pending + chunk).split('\n');
+      pending = lines.pop();
+      if (pending.length > maxBuffer) {
+        throw gitError(args, { tooLarge: true, maxBuffer, cwd });
+      }
+      yield* lines;
+    }
+
+    const { exitCode, spawnError } = await exited;
+    if (signal?.aborted) {
+      const error = new Error('Request cancelled');
+      error.code = 'CANCELLED';
+      throw error;
+    }
+    if (timedOut || spawnError || exitCode !== 0) {
+      throw gitError(args, { stderr, exitCode: exitCode ?? null, timedOut, spawnError, timeout, cwd });
+    }
+    if (pending) yield pending;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abort);
+    if (child.exitCode === null && child.signalCode === null) child.kill();
+  }
+}
+
+/**
+ * streamGit for a --format that starts each record with %x1e, such as a
+ * git log whose messages and diffs span many lines: yields one record at
+ * a time, without the separator
+ */
+export async function* streamGitRecords(args, options = {}) {
+  let record = null;
+  for await (const line of streamGit(args, options)) {
+    const [rest, ...starts] = line.split('\x1e');
+    if (record !== null) record += `\n${rest}`;
+    for (const start of starts) {
+      if (record !== null) yield record;
+      record = start;
+    }
+  }
+  if (record !== null) yield record;
+}
+
+/**
+ * Build the structured error for a failed git command
+ */
+function gitError(args, details) {
+  const { stderr = '', exitCode = null, timedOut, tooLarge, spawnError, maxBuffer, timeout, cwd } = details;
+  const command = `git ${args[0]}`;
+  const reason = stderr.trim().split('\n').filter(Boolean).slice(-3).join('\n');
+
+  let code = 'GIT_FAILED';
+  let message;
+  if (timedOut) {
+    code = 'TIMEOUT';
+    message = `${command} timed out after ${timeout / 1000}s`;
+  } else if (tooLarge) {
+    code = 'OUTPUT_TOO_LARGE';
+    message = `${command} output is larger than ${maxBuffer} bytes`;
+  } else if (spawnError) {
+    message = spawnError.code === 'ENOENT' ? 'git is not installed or not on PATH' : `${command}: ${spawnError.message}`;
+  } else if (MISSING_FILE.test(reason)) {
+    code = 'MISSING_FILE';
+    message = reason;
+  } else if (MISSING_OBJECT.test(reason) && isShallow(cwd)) {
+    code = 'SHALLOW_HISTORY';
+    message = `${reason}\nThe history needed is missing from this shallow clone (git fetch --unshallow fetches it)`;
+  } else {
+    message = reason || `${command} exited with status ${exitCode}`;
+  }
+
+  const error = new Error(message);
+  error.code = code;
+  error.args = args;
+  error.exitCode = exitCode;
+  error.stderr = stderr;
+  return error;
+}
+
+function isShallow(cwd) {
+  try {
+    return execFileSync('git', ['rev-parse', '--is-shallow-repository'], { encoding: 'utf-8', cwd, stdio: 'pipe' }).trim() === 'true';
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,212 @@
+import { join, relative } from 'path';
+import { classifyPath } from './budget.js';
+import { streamGit } from './git.js';
+import { mapPool } from './pool.js';
+import { extractReferences } from './references.js';
+
+// git log over a whole repository takes much longer than one file's
+const LOG_TIMEOUT = 10 * 60 * 1000;
+const MAX_OWNERS = 3;
+
+export const HOTSPOT_SORTS = ['score', 'churn', 'commits', 'authors', 'reverts', 'messages'];
+
+const GENERIC_SUBJECT = /^(wip|fix(es|ed)?|bug ?fix(es)?|update[sd]?|changes?|tweaks?|clean ?up|misc|minor|stuff|temp|tmp|tests?|refactor(ing)?|more|again|oops|typo|\W*)( (it|this|that|stuff|things|code|files?|bugs?|again|changes))?\W*$/i;
+
+/**
+ * Whether a commit message leaves the reader guessing: no body, no
+ * issue reference, and a subject that is generic ("fix", "wip", "update
+ * stuff") or under three words
+ */
+export function isPoorMessage(message) {
+  const [subject = '', ...body] = message.trim().split('\n');
+  if (body.join('\n').trim() || extractReferences(message).length > 0) {
+    return false;
+  }
+  return GENERIC_SUBJECT.test(subject.trim()) || subject.trim().split(/\s+/).length < 3;
+}
+
+/**
+ * Whether a commit reverts another (git revert's default message)
+ */
+export function isRevert(message) {
+  return /^Revert "/.test(message) || /^This reverts commit [0-9a-f]{7,}/m.test(message);
+}
+
+/**
+ * Rank score: changes weighted up by how many of them are poorly
+ * explained, plus reverts (code that had to be backed out)
+ */
+function score({ commits, churn = 0, poorMessages, reverts }) {
+  const poorShare = commits > 0 ? poorMessages / commits : 0;
+  return Math.round(((commits + churn / 100) * (1 + poorShare) + 2 * reverts) * 10) / 10;
+}
+
+function sortValue(entry, sort) {
+  if (sort === 'messages') return entry.poorMessages;
+  if (sort === 'authors') return entry.authors.length;
+  return entry[sort];
+}
+
+function tally(commits) {
+  return {
+    commits: commits.length,
+    authors: [...new Set(commits.map(c => c.author))],
+    reverts: commits.filter(c => c.revert).length,
+    poorMessages: commits.filter(c => c.poor).length
+  };
+}
+
+/**
+ * Mine git log --numstat under dir for the files changed most often, by
+ * the most people and with the least explanation.
+ *
+ * Options: since (any date git log --since accepts), limit (files to
+ * return), functions (sections to rank per file, by git log -L), explain
+ * (AI explanations for the hottest section of the top n files), sort (one
+ * of HOTSPOT_SORTS), concurrency, signal, onProgress(done, total, path).
+ *
+ * Returns { path, head, since, commits, files } where each file has
+ * commits, added, removed, churn, authors, reverts, poorMessages, score,
+ * owners (current blame ownership) and functions. Commits matching the
+ * ignore rules are left out, like everywhere else.
+ */
+export async function findHotspots(gitWhy, dir = '.', options = {}) {
+  const { since = null, limit = 10, functions = 5, explain = 0, sort = 'score', concurrency = 1, signal, onProgress = () => {} } = options;
+
+  if (!HOTSPOT_SORTS.includes(sort)) {
+    throw new Error(`Unknown sort "${sort}". Use one of: ${HOTSPOT_SORTS.join(', ')}`);
+  }
+
+  const head = gitWhy.resolveRev('HEAD');
+  const root = gitWhy.git(['rev-parse', '--show-toplevel']).trim();
+  // Paths from git log are relative to the root; only files that still exist count
+  const tracked = new Set(gitWhy.git(['-c', 'core.quotePath=false', 'ls-files', '--full-name', '-z', '--', dir]).split('\0').filter(Boolean));
+
+  const commits = new Map();
+  const files = new Map();
+  const args = [
+    '-c', 'core.quotePath=false', 'log', '--no-merges', '--no-renames', '--numstat',
+    '--format=%x1e%H%x1f%an%x1f%ae%x1f%B%x1d',
+    ...(since ? [`--since=${since}`] : []),
+    head, '--', dir
+  ];
+
+  let commit = null;
+  let message = null;
+  const finish = () => {
+    commit.message = message.join('\n').replace('\x1d', '').trim();
+    commit.ignored = gitWhy.isIgnoredCommit(commit);
+    commit.poor = isPoorMessage(commit.message);
+    commit.revert = isRevert(commit.message);
+    if (!commit.ignored) commits.set(commit.hash, commit);
+    message = null;
+  };
+
+  for await (const line of streamGit(args, { maxBuffer: gitWhy.maxBuffer, timeout: LOG_TIMEOUT, signal })) {
+    if (line.startsWith('\x1e')) {
+      const [hash, author, authorMail, first] = line.substring(1).split('\x1f');
+      commit = { hash, author, authorMail };
+      message = [first];
+      if (first.includes('\x1d')) finish();
+    } else if (message) {
+      message.push(line);
+      if (line.includes('\x1d')) finish();
+    } else if (line && commit && !commit.ignored) {
+      const [added, removed, path] = line.split('\t');
+      // Binary files have no line counts
+      if (added === '-' || !tracked.has(path) || classifyPath(path)) continue;
+
+      const file = files.get(path) || { path, added: 0, removed: 0, commits: [] };
+      file.added += parseInt(added);
+      file.removed += parseInt(removed);
+      file.commits.push(commit);
+      files.set(path, file);
+    }
+  }
+
+  if (files.size === 0) {
+    throw new Error(`No history found under ${dir}${since ? ` since ${since}` : ''}`);
+  }
+
+  const ranked = [...files.values()].map(file => {
+    const stats = { ...tally(file.commits), added: file.added, removed: file.removed, churn: file.added + file.removed };
+    return {
+      path: relative(process.cwd(), join(root, file.path)) || file.path,
+      ...stats,
+      score: score(stats)
+    };
+  }).sort((a, b) => sortValue(b, sort) - sortValue(a, sort) || b.score - a.score).slice(0, limit);
+
+  for (const file of ranked) {
+    file.owners = ownership(gitWhy, file.path, head);
+    file.functions = functions > 0
+      ? rankSections(gitWhy, file.path, head, { since, commits, sort }).slice(0, functions)
+      : [];
+  }
+
+  // The hottest section of each of the top files
+  const targets = ranked.slice(0, explain).map(file => ({ file, section: file.functions[0] })).filter(t => t.section);
+  let done = 0;
+  await mapPool(targets, concurrency, async ({ file, section }) => {
+    try {
+      const result = await gitWhy.explain(file.path, {
+        lineNumber: section.startLine,
+        endLine: section.endLine > section.startLine ? section.endLine : undefined,
+        rev: 'HEAD',
+        signal
+      });
+      section.explanation = result.explanation;
+    } catch (error) {
+      if (error.code === 'CANCELLED') throw error;
+      section.error = error.message;
+    }
+    onProgress(++done, targets.length, file.path);
+  });
+
+  return { path: dir, head, since, commits: commits.size, files: ranked };
+}
+
+/**
+ * Who owns the file's lines at head, by blame; the top few authors
+ */
+function ownership(gitWhy, path, head) {
+  let blamed;
+  try {
+    blamed = gitWhy.blameLines(path, { rev: head });
+  } catch {
+    return [];
+  }
+
+  const lines = new Map();
+  for (const entry of blamed) {
+    lines.set(entry.author, (lines.get(entry.author) || 0) + 1);
+  }
+  return [...lines.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_OWNERS)
+    .map(([author, count]) => ({ author, lines: count, share: Math.round(count / blamed.length * 100) / 100 }));
+}
+
+/**
+ * Sections (functions, or blame clusters) of a file at head, ranked by
+ * the commits that changed their lines
+ */
+function rankSections(gitWhy, path, head, { since, commits, sort }) {
+  let sections;
+  try {
+    sections = gitWhy.getFileSections(path, head);
+  } catch {
+    return [];
+  }
+
+  return sections.map(section => {
+    const hashes = gitWhy.git([
+      'log', '--no-merges', '--format=%H', '-s', ...(since ? [`--since=${since}`] : []),
+      `-L${section.startLine},${section.endLine}:${path}`, head
+    ]).split('\n').filter(Boolean);
+    // Only what the numstat pass counted, so ignored commits stay out
+    const stats = tally(hashes.map(hash => commits.get(hash)).filter(Boolean));
+    return { ...section, ...stats, score: score(stats) };
+  }).filter(section => section.commits > 0)
+    .sort((a, b) => (sortValue(b, sort) || 0) - (sortValue(a, sort) || 0) || b.score - a.score);
+}
@@ -0,0 +1,186 @@
+import { existsSync } from 'fs';
+
+// Authors with no commit in this long are flagged as maybe gone
+export const INACTIVE_DAYS = 180;
+const MAX_INTENT_OWNERS = 5;
+const MAX_INTENT_COMMITS = 5;
+const MAX_MESSAGE_LENGTH = 600;
+
+/**
+ * Who wrote the lines of a file (or a range or function in it), who is
+ * still around, and what their commit messages say they meant to do.
+ *
+ * Blame already maps authors through .mailmap; lines are grouped by the
+ * mapped email. An author is active if they committed anything, on any
+ * branch, in the last inactiveDays days. The main owners' commit
+ * messages are summarized by the model, one stated intent per person.
+ *
+ * Options: lineNumber, endLine, functionName, rev, inactiveDays, signal.
+ * Returns { context, lines, uncommitted, owners, commits, explanation,
+ * redactions } where owners are ranked by lines owned and each has name,
+ * email, lines, share, commits (hashes), committers (others who committed
+ * their lines), lastChanged, lastActive, active and intent.
+ */
+export async function findOwners(gitWhy, filePath, options = {}) {
+  const { lineNumber, endLine, functionName, rev = null, inactiveDays = INACTIVE_DAYS, signal } = options;
+
+  if (!rev && !existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+  if (!gitWhy.isGitRepo()) {
+    throw new Error('Not a git repository. Run git init first.');
+  }
+
+  const at = rev ? gitWhy.resolveRev(rev) : null;
+  let start = lineNumber;
+  let end = endLine;
+  if (functionName) {
+    const symbol = gitWhy.locateFunction(filePath, functionName, at);
+    start = symbol.startLine;
+    end = symbol.endLine > symbol.startLine ? symbol.endLine : undefined;
+  }
+
+  const blamed = gitWhy.blameLines(filePath, { lineNumber: start, endLine: end, rev: at });
+  // Lines that only exist in the working tree are blamed on the all-zero hash
+  const committed = blamed.filter(entry => !/^0+$/.test(entry.hash));
+  if (committed.length === 0) {
+    throw new Error(`No git history found for ${filePath}`);
+  }
+
+  const owners = tallyOwners(committed, blamed.length);
+  const since = Date.now() / 1000 - inactiveDays * 24 * 60 * 60;
+  for (const owner of owners) {
+    owner.lastActive = lastCommitTime(gitWhy, owner) || owner.lastChanged;
+    owner.active = owner.lastActive >= since;
+  }
+
+  const context = { file: filePath, lineNumber: start, endLine: end, functionName, rev };
+  const commits = intentCommits(gitWhy, owners.slice(0, MAX_INTENT_OWNERS), committed);
+
+  let sent = null;
+  const explanation = await gitWhy.converse([{ role: 'user', content: buildIntentPrompt(context, owners, commits) }], {
+    signal,
+    target: `owners of ${filePath}`,
+    onSend: (messages, redactions) => {
+      sent = { prompt: messages[0].content, redactions };
+    }
+  });
+
+  for (const [index, intent] of parseIntents(explanation)) {
+    if (owners[index] && index < MAX_INTENT_OWNERS) owners[index].intent = intent;
+  }
+
+  return {
+    context,
+    lines: blamed.length,
+    uncommitted: blamed.length - committed.length,
+    owners,
+    commits,
+    explanation,
+    inactiveDays,
+    redactions: sent.redactions,
+    ...(gitWhy.dryRun && { dryRun: true, prompt: sent.prompt })
+  };
+}
+
+/**
+ * Group blamed lines by author, most lines first
+ */
+function tallyOwners(entries, total) {
+  const owners = new Map();
+
+  for (const entry of entries) {
+    const key = (entry.authorMail || entry.author).toLowerCase();
+    const owner = owners.get(key) || {
+      name: entry.author,
+      email: entry.authorMail || null,
+      lines: 0,
+      commits: new Map(),
+      committers: new Set(),
+      lastChanged: 0,
+      intent: null
+    };
+    owner.lines++;
+    owner.commits.set(entry.hash, (owner.commits.get(entry.hash) || 0) + 1);
+    if (entry.committer && entry.committer !== entry.author) owner.committers.add(entry.committer);
+    owner.lastChanged = Math.max(owner.lastChanged, entry.committerTime || entry.timestamp);
+    owners.set(key, owner);
+  }
+
+  return [...owners.values()]
+    .sort((a, b) => b.lines - a.lines)
+    .map(owner => ({
+      ...owner,
+      share: Math.round(owner.lines / total * 100) / 100,
+      // Commits that wrote most of their lines first
+      commits: [...owner.commits].sort((a, b) => b[1] - a[1]).map(([hash]) => hash),
+      committers: [...owner.committers]
+    }));
+}
+
+/**
+ * When the author last committed anything, on any branch (git log
+ * --author also sees .mailmap identities)
+ */
+function lastCommitTime(gitWhy, owner) {
+  try {
+    const output = gitWhy.git(['log', '-1', '--all', '--fixed-strings', `--author=${owner.email || owner.name}`, '--format=%at']);
+    return parseInt(output.trim()) || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The commit messages each owner's intent is summarized from
+ */
+function intentCommits(gitWhy, owners, entries) {
+  const byHash = new Map(entries.map(entry => [entry.hash, entry]));
+
+  return owners.flatMap((owner, index) => owner.commits.slice(0, MAX_INTENT_COMMITS).map(hash => {
+    const entry = byHash.get(hash);
+    return {
+      hash,
+      owner: index,
+      author: entry.author,
+      timestamp: entry.timestamp,
+      message: gitWhy.git(['show', '-s', '--format=%B', hash]).trim()
+    };
+  }));
+}
+
+function buildIntentPrompt(context, owners, commits) {
+  const { file, lineNumber, endLine, functionName } = context;
+  const target = functionName
+    ? `function "${functionName}"`
+    : lineNumber ? `lines ${lineNumber}-${endLine || lineNumber}` : 'the whole file';
+
+  const contributors = owners.slice(0, MAX_INTENT_OWNERS).map((owner, index) => {
+    const messages = commits.filter(c => c.owner === index).map(c => {
+      const message = c.message.length > MAX_MESSAGE_LENGTH ? `${c.message.substring(0, MAX_MESSAGE_LENGTH)}...` : c.message;
+      return `- ${c.hash.substring(0, 8)}: ${message.replace(/\n/g, '\n  ')}`;
+    });
+    return `Contributor ${index + 1}: ${owner.name} (${Math.round(owner.share * 100)}% of the lines)
+Commit messages:
+${messages.join('\n')}`;
+  });
+
+  return `You are a code archaeologist telling a newcomer what the people who wrote some code were trying to do.
+
+File: ${file}
+Target: ${target}
+
+${contributors.join('\n\n')}
+
+Task: For each contributor, summarize in one sentence the intent their commit messages state for this code: what they were trying to achieve and why. Use only what the messages say; if they give no reason, say what was changed and add "(no reason given)".
+Answer with exactly one line per contributor and nothing else, in the form:
+Contributor <n>: <summary>`;
+}
+
+/**
+ * Read "Contributor n: ..." lines back as [index, intent] pairs
+ */
+function parseIntents(text) {
+  return [...text.matchAll(/^[\s*_-]*Contributor (\d+)[*_]*\s*[:.)-]\s*(.+)$/gim)]
+    .map(match => [parseInt(match[1]) - 1, match[2].trim()]);
+}
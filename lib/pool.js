@@ -0,0 +1,28 @@
+/**
+ * Run fn over items with at most `concurrency` calls in flight.
+ * Results keep the order of items; onSettled(index, result) fires as each
+ * one finishes. A rejection stops new work and rejects the whole run, so
+ * callers that want partial results should catch inside fn.
+ */
+export async function mapPool(items, concurrency, fn, onSettled = () => {}) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  async function worker() {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+      onSettled(index, results[index]);
+    }
+  }
+
+  const size = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: size }, worker));
+  return results;
+}
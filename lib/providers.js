@@ -0,0 +1,290 @@
+import Anthropic from '@anthropic-ai/sdk';
+import { createHash } from 'crypto';
+
+export const DEFAULT_MODELS = {
+  anthropic: 'claude-sonnet-4-5-20250929',
+  openai: 'gpt-4o',
+  ollama: 'llama3.1',
+  mock: 'mock-1'
+};
+
+// Providers implement complete({ messages, maxTokens, signal }) -> text, and
+// optionally stream({ messages, maxTokens, signal }) -> async iterable of text
+// chunks. signal is an AbortSignal that cancels the request.
+
+/**
+ * Anthropic Messages API
+ */
+export class AnthropicProvider {
+  constructor(options = {}) {
+    this.name = 'anthropic';
+    this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+    this.model = options.model || DEFAULT_MODELS.anthropic;
+
+    if (!this.apiKey) {
+      throw new Error(
+        'No API key found. Set ANTHROPIC_API_KEY to use the anthropic provider.\n' +
+        'Get your key at: https://console.anthropic.com/settings/keys'
+      );
+    }
+
+    this.client = new Anthropic({ apiKey: this.apiKey });
+  }
+
+  async complete({ messages, maxTokens = 2048, signal }) {
+    const message = await this.client.messages.create({
+      model: this.model,
+      max_tokens: maxTokens,
+      messages
+    }, { signal });
+
+    return message.content[0].text;
+  }
+
+  async *stream({ messages, maxTokens = 2048, signal }) {
+    const events = await this.client.messages.create({
+      model: this.model,
+      max_tokens: maxTokens,
+      messages,
+      stream: true
+    }, { signal });
+
+    for await (const event of events) {
+      if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        yield event.delta.text;
+      }
+    }
+  }
+}
+
+/**
+ * OpenAI chat completions API (and compatible servers via OPENAI_BASE_URL)
+ */
+export class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.baseURL = (options.baseURL || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.model = options.model || DEFAULT_MODELS.openai;
+
+    if (!this.apiKey) {
+      throw new Error(
+        'No API key found. Set OPENAI_API_KEY to use the openai provider.\n' +
+        'Get your key at: https://platform.openai.com/api-keys'
+      );
+    }
+  }
+
+  async complete({ messages, maxTokens = 2048, signal }) {
+    const data = await postJSON(`${this.baseURL}/chat/completions`, {
+      model: this.model,
+      max_tokens: maxTokens,
+      messages
+    }, { Authorization: `Bearer ${this.apiKey}` }, signal);
+
+    const text = data.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+      throw new Error('Unexpected response from OpenAI API');
+    }
+    return text;
+  }
+
+  async *stream({ messages, maxTokens = 2048, signal }) {
+    const lines = postStream(`${this.baseURL}/chat/completions`, {
+      model: this.model,
+      max_tokens: maxTokens,
+      messages,
+      stream: true
+    }, { Authorization: `Bearer ${this.apiKey}` }, signal);
+
+    // Server-sent events: "data: {...}" lines, terminated by "data: [DONE]"
+    for await (const line of lines) {
+      if (!line.startsWith('data:')) continue;
+      const data = line.substring(5).trim();
+      if (data === '[DONE]') break;
+
+      const text = JSON.parse(data).choices?.[0]?.delta?.content;
+      if (text) yield text;
+    }
+  }
+}
+
+/**
+ * Ollama (or any server speaking its /api/chat protocol) on a local port
+ */
+export class OllamaProvider {
+  constructor(options = {}) {
+    this.name = 'ollama';
+    this.baseURL = (options.baseURL || process.env.OLLAMA_HOST || 'http://localhost:11434').replace(/\/+$/, '');
+    if (!/^https?:\/\//.test(this.baseURL)) {
+      this.baseURL = `http://${this.baseURL}`;
+    }
+    this.model = options.model || DEFAULT_MODELS.ollama;
+  }
+
+  async complete({ messages, maxTokens = 2048, signal }) {
+    const data = await postJSON(`${this.baseURL}/api/chat`, {
+      model: this.model,
+      messages,
+      stream: false,
+      options: { num_predict: maxTokens }
+    }, {}, signal);
+
+    const text = data.message?.content;
+    if (typeof text !== 'string') {
+      throw new Error('Unexpected response from Ollama');
+    }
+    return text;
+  }
+
+  async *stream({ messages, maxTokens = 2048, signal }) {
+    const lines = postStream(`${this.baseURL}/api/chat`, {
+      model: this.model,
+      messages,
+      stream: true,
+      options: { num_predict: maxTokens }
+    }, {}, signal);
+
+    // One JSON object per line until "done": true
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      const data = JSON.parse(line);
+      if (data.error) throw new Error(data.error);
+      if (data.message?.content) yield data.message.content;
+      if (data.done) break;
+    }
+  }
+}
+
+/**
+ * Offline provider for tests and air-gapped CI.
+ * Returns the same text for the same prompt, and never touches the network.
+ */
+export class MockProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.model = options.model || DEFAULT_MODELS.mock;
+    this.calls = [];
+  }
+
+  async complete({ messages, signal }) {
+    signal?.throwIfAborted();
+    this.calls.push(messages);
+
+    const prompt = messages[messages.length - 1].content;
+    const digest = createHash('sha256').update(prompt).digest('hex').substring(0, 12);
+    const target = prompt.match(/^Target: (.+)$/m)?.[1] || 'this code';
+    const commits = [...prompt.matchAll(/^#+ Commit (?:\d+: )?([0-9a-f]+)$/gm)].map(m => m[1]);
+    const sections = [...prompt.matchAll(/^### Section \d+: (.+)$/gm)].map(m => m[1]);
+    const contributors = [...prompt.matchAll(/^Contributor (\d+): (.+) \(\d+% of the lines\)$/gm)];
+
+    return [
+      `[mock] Explanation for ${target} based on ${commits.length} commit(s).`,
+      commits.length > 0 ? `Commits: [${commits.join(', ')}]` : 'Commits: none',
+      `Prompt digest: ${digest}`,
+      ...sections.flatMap(heading => ['', `## ${heading}`, `[mock] Section ${heading}.`]),
+      ...contributors.map(([, n, name]) => `Contributor ${n}: [mock] What ${name} intended.`),
+      'Confidence: low'
+    ].join('\n');
+  }
+
+  async *stream(request) {
+    const text = await this.complete(request);
+    for (const piece of text.split(/(?<= )/)) {
+      request.signal?.throwIfAborted();
+      yield piece;
+    }
+  }
+}
+
+const PROVIDERS = {
+  anthropic: AnthropicProvider,
+  openai: OpenAIProvider,
+  ollama: OllamaProvider,
+  mock: MockProvider
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * Pick a provider from the environment when none was requested explicitly
+ */
+export function detectProvider(env = process.env) {
+  if (env.GIT_WHY_PROVIDER) return env.GIT_WHY_PROVIDER;
+  if (env.ANTHROPIC_API_KEY) return 'anthropic';
+  if (env.OPENAI_API_KEY) return 'openai';
+  return null;
+}
+
+/**
+ * Create a provider instance by name
+ */
+export function createProvider(name, options = {}) {
+  const providerName = name || detectProvider();
+
+  if (!providerName) {
+    throw new Error(
+      'No API key found. Set either ANTHROPIC_API_KEY or OPENAI_API_KEY environment variable,\n' +
+      'or pick a provider with --provider (anthropic, openai, ollama, mock).\n' +
+      'Get your key at: https://console.anthropic.com/settings/keys'
+    );
+  }
+
+  const Provider = PROVIDERS[providerName];
+  if (!Provider) {
+    throw new Error(`Unknown provider "${providerName}". Available: ${PROVIDER_NAMES.join(', ')}`);
+  }
+
+  return new Provider(options);
+}
+
+async function postJSON(url, body, headers = {}, signal = undefined) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    throw await responseError(response);
+  }
+
+  return response.json();
+}
+
+async function* postStream(url, body, headers = {}, signal = undefined) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    throw await responseError(response);
+  }
+
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    yield* lines;
+  }
+  buffer += decoder.decode();
+  if (buffer) yield buffer;
+}
+
+/**
+ * Error for a failed HTTP response, carrying status and Retry-After (seconds)
+ */
+async function responseError(response) {
+  const text = await response.text().catch(() => '');
+  const error = new Error(`${response.status} ${response.statusText}${text ? `: ${text.substring(0, 200)}` : ''}`);
+  error.status = response.status;
+  const retryAfter = parseFloat(response.headers.get('retry-after'));
+  if (!isNaN(retryAfter)) error.retryAfter = retryAfter;
+  return error;
+}
@@ -0,0 +1,155 @@
+import { createHash } from 'crypto';
+
+/**
+ * Files whose contents never leave the machine, whatever they contain.
+ * Patterns without a slash match the file name in any directory.
+ */
+export const DEFAULT_DENY_PATHS = [
+  '.env', '.env.*', '*.pem', '*.key', '*.p12', '*.pfx', '*.keystore', '*.jks',
+  'id_rsa', 'id_dsa', 'id_ecdsa', 'id_ed25519', '.npmrc', '.pypirc', '.netrc',
+  'credentials', 'credentials.json', 'secrets.*'
+];
+
+/**
+ * Built-in secret and PII detectors. The whole match is redacted, or just
+ * the named group "secret" when there is one.
+ */
+export const DETECTORS = [
+  { name: 'private-key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g },
+  { name: 'aws-access-key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { name: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { name: 'gitlab-token', pattern: /\bglpat-[A-Za-z0-9_-]{20,}/g },
+  { name: 'slack-token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { name: 'stripe-key', pattern: /\b[rs]k_(?:live|test)_[A-Za-z0-9]{16,}\b/g },
+  { name: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}/g },
+  { name: 'ai-api-key', pattern: /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/g },
+  { name: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+  { name: 'url-credentials', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:(?<secret>[^\s@/]+)@/gi },
+  // password = "hunter22", apiKey: 'abc...' and .env style API_TOKEN=abc...
+  { name: 'secret-assignment', pattern: /(?:pass(?:word|wd)?|secret|token|api[_-]?key|access[_-]?key|auth|credentials?)[\w-]*["']?\s*[:=]\s*(?<quote>["'`])(?<secret>[^"'`\s]{6,})\k<quote>/gi },
+  { name: 'secret-assignment', pattern: /^[+\- ]?\s*(?:export\s+)?[A-Z0-9_]*(?:PASSWORD|PASSWD|SECRET|TOKEN|API_KEY|ACCESS_KEY|PRIVATE_KEY)[A-Z0-9_]*\s*=\s*(?<secret>[^\s"'`]{6,})\s*$/gm },
+  { name: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g },
+  { name: 'internal-host', pattern: /\b(?:[a-z0-9-]+\.)+(?:internal|corp|intranet|lan)\b/gi }
+];
+
+// Random-looking tokens: long, mixed case and digits, high Shannon entropy.
+// Commit hashes (lowercase hex) never qualify.
+const TOKEN = /[A-Za-z0-9+/_=-]{24,}/g;
+const MIN_ENTROPY = 4;
+
+function entropy(text) {
+  const counts = new Map();
+  for (const char of text) counts.set(char, (counts.get(char) || 0) + 1);
+  let bits = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+function isHighEntropy(token) {
+  return /[a-z]/.test(token) && /[A-Z]/.test(token) && /\d/.test(token) &&
+    !/^[A-Za-z]+(?:[/_-][A-Za-z0-9]+)+$/.test(token) && entropy(token) >= MIN_ENTROPY;
+}
+
+/**
+ * Glob to RegExp: * and ? stay within a directory, ** crosses them
+ */
+function globToRegExp(glob) {
+  const source = glob.replace(/^\.\//, '').split(/(\*\*\/?|\*|\?)/).map(part => {
+    if (part === '**/') return '(?:.*/)?';
+    if (part === '**') return '.*';
+    if (part === '*') return '[^/]*';
+    if (part === '?') return '[^/]';
+    return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return new RegExp(glob.includes('/') ? `^${source}$` : `(?:^|/)${source}$`);
+}
+
+function fingerprint(secret) {
+  return createHash('sha256').update(secret).digest('hex').substring(0, 12);
+}
+
+/**
+ * Removes secrets and personal data from text before it is sent to a
+ * model. patterns are extra regexes (strings) to redact; paths are globs
+ * for files whose diffs and code are withheld entirely, on top of
+ * DEFAULT_DENY_PATHS.
+ */
+export class Redactor {
+  constructor(options = {}) {
+    const { patterns = [], paths = [] } = options;
+    this.detectors = [
+      ...DETECTORS,
+      ...patterns.map(pattern => ({ name: 'custom', pattern: new RegExp(pattern, 'gi') }))
+    ];
+    this.denyPaths = [...DEFAULT_DENY_PATHS, ...paths].map(globToRegExp);
+  }
+
+  /**
+   * Whether a path, relative to the repository root, is denied
+   */
+  isDenied(path) {
+    const normalized = path.replace(/\\/g, '/').replace(/^\.\//, '');
+    return this.denyPaths.some(pattern => pattern.test(normalized));
+  }
+
+  /**
+   * Redact text. Returns { text, redactions } where each redaction is
+   * { detector, fingerprint } (the first 12 hex digits of the secret's
+   * SHA-256, so repeats can be correlated without keeping the secret) or
+   * { detector: 'path', path } for a withheld diff.
+   */
+  redact(text) {
+    const redactions = [];
+    let result = this.withholdDiffs(text, redactions);
+
+    for (const { name, pattern } of this.detectors) {
+      result = result.replace(pattern, (...args) => {
+        const match = args[0];
+        const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : null;
+        const secret = groups?.secret ?? match;
+        // Already redacted by an earlier, more specific detector
+        if (!secret || secret.includes('[REDACTED:')) return match;
+        redactions.push({ detector: name, fingerprint: fingerprint(secret) });
+        return match.replace(secret, `[REDACTED:${name}]`);
+      });
+    }
+
+    result = result.replace(TOKEN, token => {
+      if (!isHighEntropy(token)) return token;
+      redactions.push({ detector: 'high-entropy', fingerprint: fingerprint(token) });
+      return '[REDACTED:high-entropy]';
+    });
+
+    return { text: result, redactions };
+  }
+
+  /**
+   * Replace the sections of any diff in text that touch a denied path
+   * (from a diff --git header to the next one or the end of the block)
+   */
+  withholdDiffs(text, redactions = []) {
+    const lines = text.split('\n');
+    const kept = [];
+    let withholding = false;
+
+    for (const line of lines) {
+      const header = line.match(/^diff --git a\/(.+?) b\/(.+)$/);
+      if (header) {
+        withholding = this.isDenied(header[1]) || this.isDenied(header[2]);
+        kept.push(line);
+        if (withholding) {
+          kept.push(`[diff withheld: ${header[2]} is on the redaction deny-list]`);
+          redactions.push({ detector: 'path', path: header[2] });
+        }
+        continue;
+      }
+      if (withholding && line.startsWith('```')) withholding = false;
+      if (!withholding) kept.push(line);
+    }
+
+    return kept.join('\n');
+  }
+}
@@ -0,0 +1,314 @@
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { runGit } from './git.js';
+
+const FETCH_TIMEOUT = 5000;
+
+// Uppercase tokens that look like Jira keys but never are
+const NOT_ISSUE_KEYS = new Set(['UTF', 'SHA', 'ISO', 'RFC', 'CVE', 'CWE', 'GPL', 'LGPL', 'AGPL', 'MD', 'AES', 'RSA', 'HTTP', 'TLS', 'SSL', 'ES', 'ECMA', 'X', 'WIN', 'PEP']);
+
+const TRAILER = /^(Fixes|Fix|Closes|Close|Resolves|Resolve|Refs?|References|Issue|Bug|Ticket|See-also|Jira|PR)\s*:\s*(.+)$/i;
+
+/**
+ * Find issue, pull/merge request and Jira references in a commit message.
+ *
+ * Recognizes #123, GH-123, owner/repo#123, !123 (GitLab merge requests),
+ * PROJ-123, issue URLs for GitHub, GitLab and Jira, and bare numbers in
+ * trailers such as "Fixes: 123". Each reference has a label (as written
+ * in prompts), an id (file name for the local tracker) and a kind:
+ * 'issue', 'merge-request' or 'jira'. URL references also carry the
+ * source they came from.
+ */
+export function extractReferences(message) {
+  const refs = new Map();
+  const add = (ref) => {
+    if (!refs.has(ref.label)) refs.set(ref.label, ref);
+  };
+  const issue = (number, repo = null, source = null) => ({
+    label: repo ? `${repo}#${number}` : `#${number}`,
+    id: repo ? `${repo.replace(/\//g, '-')}-${number}` : String(number),
+    kind: 'issue',
+    number,
+    repo,
+    source
+  });
+  const mergeRequest = (number, repo = null) => ({
+    label: repo ? `${repo}!${number}` : `!${number}`,
+    id: repo ? `${repo.replace(/\//g, '-')}-mr-${number}` : `mr-${number}`,
+    kind: 'merge-request',
+    number,
+    repo,
+    source: 'gitlab'
+  });
+  const jira = (key, source = null) => ({ label: key, id: key, kind: 'jira', key, source });
+
+  for (const [, project, type, number] of message.matchAll(/https?:\/\/[^\s/]+\/([\w.\/-]+?)\/-\/(issues|merge_requests)\/(\d+)/g)) {
+    add(type === 'issues' ? issue(parseInt(number), project, 'gitlab') : mergeRequest(parseInt(number), project));
+  }
+  for (const [, repo, number] of message.matchAll(/https?:\/\/[^\s/]+\/([\w.-]+\/[\w.-]+)\/(?:issues|pull)\/(\d+)/g)) {
+    add(issue(parseInt(number), repo, 'github'));
+  }
+  for (const [, key] of message.matchAll(/https?:\/\/\S+\/browse\/([A-Z][A-Z0-9]+-\d+)/g)) {
+    add(jira(key, 'jira'));
+  }
+
+  // URLs are handled; don't read their paths as references again
+  const text = message.replace(/https?:\/\/\S+/g, ' ');
+
+  for (const [, repo, number] of text.matchAll(/(?<![\w/.-])([\w.-]+\/[\w.-]+)#(\d+)\b/g)) {
+    add(issue(parseInt(number), repo));
+  }
+  for (const [, number] of text.matchAll(/(?<![\w&/#-])(?:GH-|#)(\d+)\b/g)) {
+    add(issue(parseInt(number)));
+  }
+  for (const [, number] of text.matchAll(/(?<![\w!])!(\d+)\b/g)) {
+    add(mergeRequest(parseInt(number)));
+  }
+  for (const [, key, project] of text.matchAll(/\b(([A-Z][A-Z0-9]{1,9})-\d+)\b/g)) {
+    if (!NOT_ISSUE_KEYS.has(project) && project !== 'GH') add(jira(key));
+  }
+
+  for (const line of message.split('\n')) {
+    const trailer = line.trim().match(TRAILER);
+    if (!trailer) continue;
+    for (const [, number] of trailer[2].matchAll(/(?:^|[\s,])(\d+)(?=$|[\s,])/g)) {
+      add(issue(parseInt(number)));
+    }
+  }
+
+  return [...refs.values()];
+}
+
+/**
+ * GitHub issues and pull requests (the issues API serves both)
+ */
+export class GitHubTracker {
+  constructor(options = {}) {
+    this.name = 'github';
+    this.repo = options.repo || null;
+    this.url = (options.url || 'https://api.github.com').replace(/\/+$/, '');
+    this.token = options.token ?? process.env.GITHUB_TOKEN;
+  }
+
+  supports(ref) {
+    return ref.kind === 'issue' && (!ref.source || ref.source === this.name) && Boolean(ref.repo || this.repo);
+  }
+
+  async fetch(ref) {
+    const repo = ref.repo || this.repo;
+    const data = await getJSON(`${this.url}/repos/${repo}/issues/${ref.number}`, {
+      Accept: 'application/vnd.github+json',
+      ...(this.token ? { Authorization: `Bearer ${this.token}` } : {})
+    });
+    if (!data) return null;
+
+    return {
+      title: data.title,
+      body: data.body || '',
+      url: data.html_url,
+      state: data.state,
+      type: data.pull_request ? 'pull request' : 'issue'
+    };
+  }
+}
+
+/**
+ * GitLab issues and merge requests
+ */
+export class GitLabTracker {
+  constructor(options = {}) {
+    this.name = 'gitlab';
+    this.project = options.project || null;
+    this.url = (options.url || 'https://gitlab.com').replace(/\/+$/, '');
+    this.token = options.token ?? process.env.GITLAB_TOKEN;
+  }
+
+  supports(ref) {
+    return (ref.kind === 'issue' || ref.kind === 'merge-request') &&
+      (!ref.source || ref.source === this.name) &&
+      Boolean(ref.repo || this.project);
+  }
+
+  async fetch(ref) {
+    const project = encodeURIComponent(ref.repo || this.project);
+    const type = ref.kind === 'merge-request' ? 'merge_requests' : 'issues';
+    const data = await getJSON(`${this.url}/api/v4/projects/${project}/${type}/${ref.number}`,
+      this.token ? { 'PRIVATE-TOKEN': this.token } : {});
+    if (!data) return null;
+
+    return {
+      title: data.title,
+      body: data.description || '',
+      url: data.web_url,
+      state: data.state,
+      type: ref.kind === 'merge-request' ? 'merge request' : 'issue'
+    };
+  }
+}
+
+/**
+ * Jira issues, with an API token (JIRA_TOKEN, plus JIRA_EMAIL for Jira Cloud)
+ */
+export class JiraTracker {
+  constructor(options = {}) {
+    this.name = 'jira';
+    this.url = (options.url || '').replace(/\/+$/, '');
+    this.token = options.token ?? process.env.JIRA_TOKEN;
+    this.email = options.email ?? process.env.JIRA_EMAIL;
+
+    if (!this.url) {
+      throw new Error('The jira tracker needs a URL (git config gitwhy.jira.url https://your-company.atlassian.net)');
+    }
+  }
+
+  supports(ref) {
+    return ref.kind === 'jira';
+  }
+
+  async fetch(ref) {
+    const headers = !this.token ? {}
+      : this.email
+        ? { Authorization: `Basic ${Buffer.from(`${this.email}:${this.token}`).toString('base64')}` }
+        : { Authorization: `Bearer ${this.token}` };
+    const data = await getJSON(`${this.url}/rest/api/2/issue/${ref.key}?fields=summary,description,status,issuetype`, headers);
+    if (!data) return null;
+
+    return {
+      title: data.fields?.summary,
+      body: data.fields?.description || '',
+      url: `${this.url}/browse/${ref.key}`,
+      state: data.fields?.status?.name,
+      type: data.fields?.issuetype?.name?.toLowerCase() || 'issue'
+    };
+  }
+}
+
+/**
+ * Offline tracker: a directory of <id>.json ({ title, body, url, state })
+ * or <id>.md files (the first heading is the title), e.g. 482.md,
+ * mr-12.md or PROJ-1234.json
+ */
+export class LocalTracker {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.dir = options.dir;
+
+    if (!this.dir) {
+      throw new Error('The local tracker needs a directory (git config gitwhy.local.dir <path>)');
+    }
+  }
+
+  supports() {
+    return true;
+  }
+
+  async fetch(ref) {
+    const json = join(this.dir, `${ref.id}.json`);
+    if (existsSync(json)) {
+      const data = JSON.parse(readFileSync(json, 'utf-8'));
+      return { title: data.title, body: data.body || '', url: data.url || null, state: data.state || null, type: data.type || 'issue' };
+    }
+
+    const markdown = join(this.dir, `${ref.id}.md`);
+    if (existsSync(markdown)) {
+      const text = readFileSync(markdown, 'utf-8');
+      const heading = text.match(/^#\s+(.+)$/m);
+      return {
+        title: heading ? heading[1].trim() : ref.label,
+        body: (heading ? text.replace(heading[0], '') : text).trim(),
+        url: null,
+        state: null,
+        type: 'issue'
+      };
+    }
+
+    return null;
+  }
+}
+
+const TRACKERS = {
+  github: GitHubTracker,
+  gitlab: GitLabTracker,
+  jira: JiraTracker,
+  local: LocalTracker
+};
+
+export const TRACKER_NAMES = Object.keys(TRACKERS);
+
+/**
+ * Create a tracker adapter by name
+ */
+export function createTracker(name, options = {}) {
+  const Tracker = TRACKERS[name];
+  if (!Tracker) {
+    throw new Error(`Unknown issue tracker "${name}". Available: ${TRACKER_NAMES.join(', ')}`);
+  }
+  return new Tracker(options);
+}
+
+/**
+ * Trackers configured for the current repository in git config:
+ *
+ *   gitwhy.trackers      space/comma separated list, in lookup order
+ *   gitwhy.github.repo   owner/name (default: the origin remote)
+ *   gitwhy.github.url    API base for GitHub Enterprise
+ *   gitwhy.gitlab.project, gitwhy.gitlab.url
+ *   gitwhy.jira.url
+ *   gitwhy.local.dir     relative to the repository root
+ */
+export function loadTrackers() {
+  let output = '';
+  try {
+    output = runGit(['config', '--get-regexp', '^gitwhy\\.']);
+  } catch {
+    // Nothing configured
+  }
+
+  const config = {};
+  for (const line of output.split('\n').filter(Boolean)) {
+    const [key, ...value] = line.split(' ');
+    config[key.toLowerCase()] = value.join(' ');
+  }
+
+  const names = (config['gitwhy.trackers'] || '').split(/[\s,]+/).filter(Boolean);
+  if (names.length === 0) return [];
+
+  const root = runGit(['rev-parse', '--show-toplevel']).trim();
+  const remote = originPath();
+
+  return names.map(name => createTracker(name, {
+    github: { repo: config['gitwhy.github.repo'] || remote, url: config['gitwhy.github.url'] },
+    gitlab: { project: config['gitwhy.gitlab.project'] || remote, url: config['gitwhy.gitlab.url'] },
+    jira: { url: config['gitwhy.jira.url'] },
+    local: { dir: config['gitwhy.local.dir'] && join(root, config['gitwhy.local.dir']) }
+  }[name] || {}));
+}
+
+/**
+ * owner/name (or group/subgroup/name) of the origin remote, if any
+ */
+function originPath() {
+  try {
+    const url = runGit(['remote', 'get-url', 'origin']).trim();
+    const match = url.match(/^(?:[\w+]+:\/\/)?(?:[^@/]+@)?[^:/]+[:/](.+?)(?:\.git)?\/?$/);
+    return match ? match[1].replace(/^\/+/, '') : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * GET JSON, or null for a 404
+ */
+async function getJSON(url, headers = {}) {
+  const response = await fetch(url, {
+    headers: { Accept: 'application/json', ...headers },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT)
+  });
+
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText}`);
+  }
+  return response.json();
+}
@@ -0,0 +1,211 @@
+/**
+ * Reverts, cherry-picks, fixups and fixes between the commits behind some
+ * code.
+ *
+ * Relationships come from what git and developers write into messages
+ * ("This reverts commit X.", "(cherry picked from commit X)", "fixup! ...",
+ * "Fixes: X" or a fix that names the commit it fixes). A fix that names no
+ * commit is linked to the previous commit that touched the same lines,
+ * and marked inferred.
+ */
+
+const MAX_CHAIN_DEPTH = 5;
+const HASH = '(?=[0-9]*[a-f])[0-9a-f]{7,40}';
+const FIX_SUBJECT = /^(?:\w+(?:\([^)]*\))?!?:\s*)?(?:hot|bug)?fix(?:es|ed)?\b|\bregression\b/i;
+
+/**
+ * Whether a subject says the commit fixes something ("fix: ...",
+ * "Hotfix ...", "... regression")
+ */
+export function isFixSubject(subject) {
+  return FIX_SUBJECT.test(subject);
+}
+
+/**
+ * The relationships a commit message declares, as [{ kind, ref }] where
+ * kind is 'revert', 'cherry-pick', 'fixup', 'squash' or 'fixes' and ref a
+ * hash or, for fixup!/squash!, the subject of the commit it amends.
+ * Hashes picked out of a fix's message (rather than a Fixes: trailer) are
+ * marked guessed: they may be any hex-looking word.
+ */
+export function parseRelations(message) {
+  const found = [];
+  const add = (kind, ref, guessed = false) => {
+    if (!found.some(r => r.ref === ref)) found.push(guessed ? { kind, ref, guessed } : { kind, ref });
+  };
+  const subject = message.split('\n')[0];
+
+  for (const match of message.matchAll(new RegExp(`This reverts commit (${HASH})`, 'gi'))) add('revert', match[1]);
+  for (const match of message.matchAll(new RegExp(`\\(cherry picked from commit (${HASH})\\)`, 'gi'))) add('cherry-pick', match[1]);
+
+  const fixup = subject.match(/^(fixup|squash|amend)! (.+)$/);
+  if (fixup) add(fixup[1] === 'squash' ? 'squash' : 'fixup', fixup[2].trim());
+
+  for (const match of message.matchAll(new RegExp(`^Fixes: (${HASH})\\b`, 'gim'))) add('fixes', match[1]);
+  if (isFixSubject(subject)) {
+    for (const match of message.matchAll(new RegExp(`\\b(${HASH})\\b`, 'gi'))) add('fixes', match[1], true);
+  }
+
+  return found;
+}
+
+/**
+ * Follow the relationships of commits (and of the commits they point to,
+ * a few levels deep). lineHistory is the target lines' git log, newest
+ * first, for inferred fixes.
+ *
+ * Returns { relations, chains, warnings }. Each relation is { hash,
+ * summary, kind, target, targetSummary, inferred, missing } (missing when
+ * the target isn't in this repository, e.g. a cherry-pick from a deleted
+ * branch). chains are the relations joined end to end, newest first.
+ */
+export function traceRelations(gitWhy, commits, lineHistory = []) {
+  const summaries = new Map();
+  const relations = [];
+  const seen = new Set();
+  const queue = commits.map(commit => ({ ...commit, depth: 0 }));
+
+  const message = commit => {
+    if (commit.message !== undefined) return commit.message;
+    try {
+      return gitWhy.git(['show', '-s', '--format=%B', commit.hash]).trim();
+    } catch {
+      return '';
+    }
+  };
+
+  while (queue.length > 0) {
+    const commit = queue.shift();
+    if (seen.has(commit.hash)) continue;
+    seen.add(commit.hash);
+
+    const text = message(commit);
+    const summary = text.split('\n')[0];
+    summaries.set(commit.hash, summary);
+
+    for (const { kind, ref, guessed } of parseRelations(text)) {
+      const target = kind === 'fixup' || kind === 'squash'
+        ? findBySubject(gitWhy, ref, commit.hash, commits)
+        : resolveCommit(gitWhy, ref);
+      // A hex word in a fix's message is only a reference if it resolves
+      if (target === commit.hash || (guessed && !target)) continue;
+
+      relations.push({ hash: commit.hash, summary, kind, target: target || ref, inferred: false, missing: !target });
+      if (target && commit.depth < MAX_CHAIN_DEPTH) {
+        queue.push({ hash: target, depth: commit.depth + 1 });
+      }
+    }
+  }
+
+  // A fix that doesn't say what it fixes: the previous change to these lines
+  lineHistory.forEach((commit, i) => {
+    const previous = lineHistory[i + 1];
+    if (!previous || !isFixSubject(commit.summary) || relations.some(r => r.hash === commit.hash)) return;
+    summaries.set(commit.hash, commit.summary);
+    summaries.set(previous.hash, previous.summary);
+    relations.push({ hash: commit.hash, summary: commit.summary, kind: 'fixes', target: previous.hash, inferred: true, missing: false });
+  });
+
+  for (const relation of relations) {
+    relation.targetSummary = relation.missing
+      ? null
+      : summaries.get(relation.target) ?? message({ hash: relation.target }).split('\n')[0];
+  }
+
+  const chains = buildChains(relations);
+  return { relations, chains, warnings: describeChains(relations, chains) };
+}
+
+/**
+ * A relationship as text: `1a2b3c4d "Revert ..." reverts 9f8e7d6c "Add cache"`
+ */
+export function formatRelation(relation) {
+  const verbs = {
+    revert: 'reverts',
+    'cherry-pick': 'was cherry-picked from',
+    fixup: 'is an unsquashed fixup of',
+    squash: 'is an unsquashed squash into',
+    fixes: relation.inferred ? 'probably fixes' : 'fixes'
+  };
+  const target = relation.target.substring(0, 8) + (relation.targetSummary ? ` "${relation.targetSummary}"` : ' (not in this repository)');
+  return `${relation.hash.substring(0, 8)} "${relation.summary}" ${verbs[relation.kind]} ${target}`;
+}
+
+function resolveCommit(gitWhy, ref) {
+  try {
+    return gitWhy.git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+function findBySubject(gitWhy, subject, exclude, commits) {
+  const known = commits.find(c => c.hash !== exclude && (c.summary ?? (c.message || '').split('\n')[0]) === subject);
+  if (known) return known.hash;
+
+  try {
+    const output = gitWhy.git(['log', '-n', '20', '--fixed-strings', `--grep=${subject}`, '--format=%H%x1f%s', exclude]);
+    const match = output.split('\n').map(line => line.split('\x1f')).find(([hash, s]) => hash !== exclude && s === subject);
+    return match ? match[0] : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Join relations that continue each other (a revert of a revert, a fix of
+ * a fix) into chains of relations, newest first
+ */
+function buildChains(relations) {
+  const targets = new Set(relations.map(r => r.target));
+  const chains = [];
+
+  const walk = (relation, chain) => {
+    const next = relations.filter(r => r.hash === relation.target && !chain.includes(r));
+    if (next.length === 0) {
+      chains.push([...chain, relation]);
+      return;
+    }
+    for (const r of next) walk(r, [...chain, relation]);
+  };
+
+  for (const relation of relations.filter(r => !targets.has(r.hash))) {
+    walk(relation, []);
+  }
+  return chains;
+}
+
+function times(n) {
+  return n === 1 ? 'once' : n === 2 ? 'twice' : `${n} times`;
+}
+
+function describeChains(relations, chains) {
+  const warnings = [];
+
+  for (const chain of chains) {
+    const reverts = chain.filter(r => r.kind === 'revert');
+    if (reverts.length > 0) {
+      const last = chain[chain.length - 1];
+      warnings.push(`This code has been reverted ${times(reverts.length)}: ${chain.map(r => r.hash.substring(0, 8)).join(' -> ')} -> ${last.target.substring(0, 8)}`);
+    }
+  }
+
+  const fixed = new Map();
+  for (const relation of relations.filter(r => r.kind === 'fixes')) {
+    fixed.set(relation.target, [...(fixed.get(relation.target) || []), relation]);
+  }
+  for (const [target, fixes] of fixed) {
+    const probably = fixes.every(r => r.inferred) ? 'probably ' : '';
+    const summary = fixes[0].targetSummary ? ` "${fixes[0].targetSummary}"` : ' (not in this repository)';
+    warnings.push(`${target.substring(0, 8)}${summary} ${probably}needed ${fixes.length === 1 ? 'a fix' : `${fixes.length} fixes`}: ${fixes.map(r => r.hash.substring(0, 8)).join(', ')}`);
+  }
+
+  for (const relation of relations.filter(r => r.kind === 'cherry-pick')) {
+    warnings.push(`${relation.hash.substring(0, 8)} is a cherry-pick of ${relation.target.substring(0, 8)}${relation.missing ? ', which is not in this repository' : ''}; the original may carry more context`);
+  }
+  for (const relation of relations.filter(r => r.kind === 'fixup' || r.kind === 'squash')) {
+    warnings.push(`${relation.hash.substring(0, 8)} is a ${relation.kind}! commit that was never squashed`);
+  }
+
+  return warnings;
+}
@@ -0,0 +1,271 @@
+/**
+ * Markdown and HTML renderers for explanations.
+ *
+ * Both take a list of sections, { heading, anchor, result } or
+ * { heading, anchor, error }, so a single explanation, several targets and
+ * a whole report page share one layout. commitUrl (a prefix such as
+ * https://github.com/acme/api/commit/) turns commit hashes into links.
+ */
+
+import { sectionHeading } from './sections.js';
+
+const MAX_LISTED_COMMITS = 10;
+
+function formatDate(timestamp) {
+  return new Date(timestamp * 1000).toISOString().split('T')[0];
+}
+
+/**
+ * Stable anchor for a heading: lowercase, words joined by dashes
+ */
+export function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'section';
+}
+
+/**
+ * Claims nothing in the history backs up, and cited hashes that aren't in
+ * it (see claims.js)
+ */
+function doubts(result) {
+  return {
+    speculative: (result.claims || []).filter(claim => claim.speculative).map(claim => claim.text),
+    unverified: result.unverifiedCitations || []
+  };
+}
+
+/**
+ * A result's explanation as Markdown. Whole-file results are laid out by
+ * section, under headings starting with marker ('##', ...).
+ */
+function explanationMarkdown(result, marker) {
+  if (!result.sections) return result.explanation.trim();
+
+  return [
+    result.summary,
+    ...result.sections.map(section =>
+      `${marker} ${sectionHeading(section)}\n\n${section.explanation || '_Not covered by the explanation._'}`
+    ),
+    ...(result.confidence ? [`Confidence: ${result.confidence}`] : [])
+  ].filter(Boolean).join('\n\n');
+}
+
+function commitRows(result) {
+  const commits = result.change ? result.change.commits : result.commits;
+  return (commits || []).slice(0, MAX_LISTED_COMMITS).map(c => ({
+    hash: c.hash,
+    author: c.author,
+    date: formatDate(c.timestamp),
+    summary: c.summary || (c.message || '').split('\n')[0]
+  }));
+}
+
+/**
+ * Render sections as a Markdown document
+ */
+export function renderMarkdown(sections, options = {}) {
+  const { title = null, intro = null, commitUrl = null } = options;
+  const lines = [];
+
+  if (title) lines.push(`# ${title}`, '');
+  if (intro) lines.push(intro, '');
+
+  for (const section of sections) {
+    if (section.anchor) {
+      lines.push(`<a id="${section.anchor}"></a>`, '');
+    }
+    if (section.heading) {
+      lines.push(`${title ? '##' : '#'} ${section.heading}`, '');
+    }
+
+    if (section.error) {
+      lines.push(`_Could not explain: ${section.error}_`, '');
+      continue;
+    }
+
+    lines.push(explanationMarkdown(section.result, title ? '###' : '##'), '');
+
+    const { speculative, unverified } = doubts(section.result);
+    if (unverified.length > 0) {
+      lines.push(`> **Cited but not in the analyzed history:** ${unverified.map(hash => `\`${hash}\``).join(', ')}`, '');
+    }
+    if (speculative.length > 0) {
+      lines.push('Speculative or unsupported:', '', ...speculative.map(text => `- _${text}_`), '');
+    }
+
+    const rows = commitRows(section.result);
+    if (rows.length > 0) {
+      lines.push(section.result.change ? '| Commit in change | Author | Date | Summary |' : '| Commit | Author | Date | Summary |');
+      lines.push('| --- | --- | --- | --- |');
+      for (const row of rows) {
+        const hash = row.hash.substring(0, 8);
+        const cell = commitUrl ? `[\`${hash}\`](${commitUrl}${row.hash})` : `\`${hash}\``;
+        lines.push(`| ${cell} | ${escapeTable(row.author)} | ${row.date} | ${escapeTable(row.summary)} |`);
+      }
+      lines.push('');
+    }
+  }
+
+  return lines.join('\n').replace(/\n+$/, '\n');
+}
+
+/**
+ * Render sections as a standalone HTML page
+ */
+export function renderHtml(sections, options = {}) {
+  const { title = 'git-why', intro = null, commitUrl = null, nav = null } = options;
+  const body = [];
+
+  if (nav) body.push(`<nav>${nav}</nav>`);
+  body.push(`<h1>${escapeHtml(title)}</h1>`);
+  if (intro) body.push(markdownToHtml(intro));
+
+  for (const section of sections) {
+    const anchor = section.anchor || slugify(section.heading || 'explanation');
+    body.push(`<section id="${escapeHtml(anchor)}">`);
+    if (section.heading) {
+      body.push(`<h2><a href="#${escapeHtml(anchor)}">${escapeHtml(section.heading)}</a></h2>`);
+    }
+
+    if (section.error) {
+      body.push(`<p class="error">Could not explain: ${escapeHtml(section.error)}</p>`);
+    } else {
+      // markdownToHtml puts # headings at <h3>, below the section's <h2>
+      body.push(markdownToHtml(explanationMarkdown(section.result, '#')));
+
+      const { speculative, unverified } = doubts(section.result);
+      if (unverified.length > 0) {
+        body.push(`<p class="error">Cited but not in the analyzed history: ${unverified.map(hash => `<code>${escapeHtml(hash)}</code>`).join(', ')}</p>`);
+      }
+      if (speculative.length > 0) {
+        body.push(`<p>Speculative or unsupported:</p><ul class="speculative">${speculative.map(text => `<li>${escapeHtml(text)}</li>`).join('')}</ul>`);
+      }
+
+      const rows = commitRows(section.result);
+      if (rows.length > 0) {
+        body.push('<table>');
+        body.push(`<tr><th>${section.result.change ? 'Commit in change' : 'Commit'}</th><th>Author</th><th>Date</th><th>Summary</th></tr>`);
+        for (const row of rows) {
+          const hash = escapeHtml(row.hash.substring(0, 8));
+          const cell = commitUrl ? `<a href="${escapeHtml(commitUrl + row.hash)}"><code>${hash}</code></a>` : `<code>${hash}</code>`;
+          body.push(`<tr><td>${cell}</td><td>${escapeHtml(row.author)}</td><td>${row.date}</td><td>${escapeHtml(row.summary)}</td></tr>`);
+        }
+        body.push('</table>');
+      }
+    }
+    body.push('</section>');
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font: 15px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 860px; margin: 2em auto; padding: 0 1em; color: #1f2328; }
+h2 a { color: inherit; text-decoration: none; }
+section { border-top: 1px solid #d0d7de; padding-top: 0.5em; }
+code, pre { font: 13px ui-monospace, SFMono-Regular, Menlo, monospace; background: #f6f8fa; }
+pre { padding: 0.8em; overflow-x: auto; }
+table { border-collapse: collapse; font-size: 13px; }
+th, td { text-align: left; padding: 0.2em 0.8em 0.2em 0; vertical-align: top; }
+.error { color: #cf222e; }
+.speculative { color: #9a6700; font-style: italic; }
+nav { font-size: 13px; }
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Minimal Markdown for model output: paragraphs, lists, fenced code,
+ * headings, inline code, bold and links
+ */
+export function markdownToHtml(text) {
+  const html = [];
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  let paragraph = [];
+  let list = null;
+
+  const flush = () => {
+    if (paragraph.length > 0) {
+      html.push(`<p>${inlineHtml(paragraph.join(' '))}</p>`);
+      paragraph = [];
+    }
+    if (list) {
+      html.push(`<${list.tag}>${list.items.map(item => `<li>${inlineHtml(item)}</li>`).join('')}</${list.tag}>`);
+      list = null;
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.startsWith('```')) {
+      flush();
+      const code = [];
+      while (++i < lines.length && !lines[i].startsWith('```')) code.push(lines[i]);
+      html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const bullet = line.match(/^\s*[-*]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+
+    if (!line.trim()) {
+      flush();
+    } else if (heading) {
+      flush();
+      const level = Math.min(heading[1].length + 2, 6);
+      html.push(`<h${level}>${inlineHtml(heading[2])}</h${level}>`);
+    } else if (bullet || numbered) {
+      const tag = bullet ? 'ul' : 'ol';
+      if (paragraph.length > 0 || (list && list.tag !== tag)) flush();
+      list = list || { tag, items: [] };
+      list.items.push((bullet || numbered)[1]);
+    } else if (list) {
+      list.items[list.items.length - 1] += ` ${line.trim()}`;
+    } else {
+      paragraph.push(line.trim());
+    }
+  }
+  flush();
+
+  return html.join('\n');
+}
+
+function inlineHtml(text) {
+  return escapeHtml(text)
+    // \* \[ and the like stand for the character itself, except in code
+    .replace(/(`[^`]+`)|\\([\\`*_[\]()#])/g, (match, code, char) => code || `&#${char.charCodeAt(0)};`)
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    // Only web and relative links; nothing like javascript:
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) =>
+      /^https?:\/\//.test(href) || !href.includes(':') ? `<a href="${href}">${label}</a>` : match);
+}
+
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Backslash-escape the characters Markdown would read as formatting or
+ * link syntax, for text put inside a link label
+ */
+export function escapeMarkdown(text) {
+  return String(text).replace(/[\\`*_[\]()#]/g, '\\$&');
+}
+
+function escapeTable(text) {
+  return String(text).replace(/\|/g, '\\|');
+}
@@ -0,0 +1,163 @@
+import { mkdirSync, openSync, readSync, closeSync, writeFileSync } from 'fs';
+import { basename, dirname, join, relative, resolve } from 'path';
+import { classifyPath } from './budget.js';
+import { runGit } from './git.js';
+import { mapPool } from './pool.js';
+import { escapeMarkdown, renderHtml, renderMarkdown, slugify } from './render.js';
+
+const BINARY_SNIFF_BYTES = 8000;
+
+/**
+ * Tracked text files under dir, skipping lock files and generated output
+ */
+export function listReportFiles(dir) {
+  const output = runGit(['-c', 'core.quotePath=false', 'ls-files', '-z', '--', dir]);
+  return output.split('\0').filter(path => path && !classifyPath(path) && !isBinary(path));
+}
+
+/**
+ * Explain every section of every tracked file under dir.
+ *
+ * Returns { name, head, commitUrl, files: [{ path, sections, skipped, error }] }
+ * where each section has name, kind, startLine, endLine and either result
+ * or error. Files under exclude (e.g. an earlier report) are skipped.
+ * onProgress(done, total, path) is called as sections finish.
+ */
+export async function buildReport(gitWhy, dir, options = {}) {
+  const { concurrency = 1, maxSections = 20, exclude = null, onProgress = () => {} } = options;
+
+  const excluded = exclude && resolve(exclude);
+  const paths = listReportFiles(dir).filter(path =>
+    !excluded || (resolve(path) !== excluded && !resolve(path).startsWith(excluded + '/'))
+  );
+  if (paths.length === 0) {
+    throw new Error(`No tracked text files under ${dir}`);
+  }
+
+  const files = [];
+  const tasks = [];
+  for (const path of paths) {
+    const file = { path, sections: [], skipped: 0, error: null };
+    files.push(file);
+
+    try {
+      const sections = gitWhy.getFileSections(path);
+      file.skipped = Math.max(0, sections.length - maxSections);
+      file.sections = sections.slice(0, maxSections);
+      tasks.push(...file.sections.map(section => ({ file, section })));
+    } catch (error) {
+      file.error = error.message;
+    }
+  }
+
+  let done = 0;
+  await mapPool(tasks, concurrency, async ({ file, section }) => {
+    try {
+      section.result = await gitWhy.explain(file.path, {
+        lineNumber: section.startLine,
+        endLine: section.endLine > section.startLine ? section.endLine : undefined
+      });
+    } catch (error) {
+      section.error = error.message;
+    }
+    onProgress(++done, tasks.length, file.path);
+  });
+
+  const head = runGit(['rev-parse', 'HEAD']).trim();
+  const root = runGit(['rev-parse', '--show-toplevel']).trim();
+  const name = relative(root, resolve(dir)) || basename(root);
+  return { name, head, commitUrl: remoteCommitUrl(), files };
+}
+
+/**
+ * Write a report as index.md plus one page per file (or .html with
+ * format 'html'). Returns the paths written, index first.
+ */
+export function writeReport(report, outDir, format = 'markdown') {
+  const ext = format === 'html' ? '.html' : '.md';
+  const render = format === 'html' ? renderHtml : renderMarkdown;
+  const indexPath = join(outDir, `index${ext}`);
+  const generated = `Generated by git-why from commit \`${report.head.substring(0, 8)}\`.`;
+  const written = [indexPath];
+  const index = [];
+
+  for (const file of report.files) {
+    const pagePath = join(outDir, `${file.path}${ext}`);
+    const link = encodeLink(relative(outDir, pagePath));
+    const anchors = new Map();
+
+    const sections = file.sections.map(section => {
+      const base = slugify(section.name);
+      const count = (anchors.get(base) || 0) + 1;
+      anchors.set(base, count);
+      return {
+        name: section.name,
+        heading: `${section.name} (lines ${section.startLine}-${section.endLine})`,
+        anchor: count > 1 ? `${base}-${count}` : base,
+        result: section.result,
+        error: section.error
+      };
+    });
+
+    if (file.error) {
+      index.push(`- ${escapeMarkdown(file.path)}: could not be split into sections (${file.error})`);
+      continue;
+    }
+
+    const backLink = encodeLink(relative(dirname(pagePath), indexPath));
+    const notes = [`${generated} [Back to index](${backLink})`];
+    if (file.skipped > 0) {
+      notes.push(`${file.skipped} more section${file.skipped === 1 ? '' : 's'} not explained.`);
+    }
+
+    mkdirSync(dirname(pagePath), { recursive: true });
+    writeFileSync(pagePath, render(sections, { title: file.path, intro: notes.join('\n\n'), commitUrl: report.commitUrl }));
+    written.push(pagePath);
+
+    const links = sections.map(s => `[${escapeMarkdown(s.name)}](${link}#${s.anchor})`);
+    index.push(`- [${escapeMarkdown(file.path)}](${link})${links.length > 0 ? `: ${links.join(', ')}` : ''}`);
+  }
+
+  mkdirSync(outDir, { recursive: true });
+  const title = `Architecture archaeology: ${report.name}`;
+  writeFileSync(indexPath, render([], { title, intro: `${generated}\n\n${index.join('\n')}` }));
+  return written;
+}
+
+/**
+ * Relative path as a link target: each segment percent-encoded, so spaces,
+ * # and ? in file names don't end the link or start a fragment or query
+ */
+function encodeLink(path) {
+  return path.split(/[\\/]/).map(segment => encodeURIComponent(segment).replace(/[()]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)).join('/');
+}
+
+/**
+ * Web URL prefix for commits on the origin remote (GitHub, GitLab and
+ * most forges accept /commit/<hash>), or null
+ */
+function remoteCommitUrl() {
+  let url;
+  try {
+    url = runGit(['remote', 'get-url', 'origin']).trim();
+  } catch {
+    return null;
+  }
+  if (url.startsWith('file:')) return null;
+
+  const match = url.match(/^(?:(?:https?|ssh|git):\/\/)?(?:[^@/]+@)?([^:/]+)(?::\d+)?[:/](.+?)(?:\.git)?\/?$/);
+  return match ? `https://${match[1]}/${match[2]}/commit/` : null;
+}
+
+function isBinary(path) {
+  try {
+    const fd = openSync(path, 'r');
+    const buffer = Buffer.alloc(BINARY_SNIFF_BYTES);
+    const bytes = readSync(fd, buffer, 0, BINARY_SNIFF_BYTES, 0);
+    closeSync(fd);
+    return buffer.subarray(0, bytes).includes(0);
+  } catch {
+    // Deleted or unreadable in the working tree
+    return true;
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Per-section explanations of a whole file.
+ *
+ * For a whole file the prompt lists its sections (functions and classes,
+ * or runs of lines written by the same commit) and asks the model for a
+ * "## Summary" of the file followed by a "## <name> (lines a-b)" heading
+ * per section. Like the citations in claims.js, the explanation stays
+ * plain text so it can stream; this splits it back up.
+ */
+
+const HEADING = /^#{1,4}\s+(.+?)\s*#*\s*$/;
+const RANGE = /\blines? (\d+)(?:\s*-\s*(\d+))?/i;
+const CONFIDENCE = /^[\s>*_-]*Confidence:?[*_]*:?\s*[*_]*(high|medium|low)\b/i;
+
+/**
+ * Heading the model is asked to use for a section
+ */
+export function sectionHeading(section) {
+  return `${section.name} (lines ${section.startLine}-${section.endLine})`;
+}
+
+/**
+ * Split an explanation into the file summary and one explanation per
+ * section. Headings are matched by their line range, then by name;
+ * anything before the first heading counts as summary. A section the
+ * model skipped gets an empty explanation.
+ *
+ * Returns { summary, sections } where sections are copies of the given
+ * ones with explanation set.
+ */
+export function parseSections(explanation, sections) {
+  const texts = sections.map(() => []);
+  const summary = [];
+  let current = summary;
+  let inCode = false;
+
+  for (const line of explanation.split('\n')) {
+    if (line.trim().startsWith('```')) inCode = !inCode;
+
+    const heading = !inCode && line.match(HEADING);
+    if (heading) {
+      const index = matchSection(heading[1], sections);
+      if (index !== -1) {
+        current = texts[index];
+        continue;
+      }
+      if (/^summary\b/i.test(heading[1].replace(/[*_`]/g, ''))) {
+        current = summary;
+        continue;
+      }
+    }
+
+    // The confidence line belongs to the whole explanation
+    if (!inCode && CONFIDENCE.test(line)) continue;
+    current.push(line);
+  }
+
+  return {
+    summary: summary.join('\n').trim(),
+    sections: sections.map((section, i) => ({ ...section, explanation: texts[i].join('\n').trim() }))
+  };
+}
+
+function matchSection(heading, sections) {
+  const text = heading.replace(/[*_`]/g, '');
+  const range = text.match(RANGE);
+  if (range) {
+    const start = parseInt(range[1]);
+    const end = range[2] ? parseInt(range[2]) : start;
+    const index = sections.findIndex(s => s.startLine === start && s.endLine === end);
+    if (index !== -1) return index;
+  }
+
+  const name = text.replace(/\(.*\)\s*$/, '').trim().toLowerCase();
+  return sections.findIndex(s => s.name.toLowerCase() === name);
+}
@@ -0,0 +1,337 @@
+import { createServer } from 'http';
+import { createInterface } from 'readline';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const LOCAL_HOSTS = new Set(['127.0.0.1', 'localhost', '[::1]']);
+
+export const RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  SERVER_ERROR: -32000,
+  // Same code LSP uses, so editor clients can treat it the same way
+  REQUEST_CANCELLED: -32800
+};
+
+function invalidParams(message) {
+  const error = new Error(message);
+  error.rpcCode = RPC_ERRORS.INVALID_PARAMS;
+  return error;
+}
+
+function optionalLine(params, key) {
+  const value = params[key];
+  if (value === undefined || value === null) return undefined;
+  if (!Number.isInteger(value) || value < 1) {
+    throw invalidParams(`${key} must be a positive integer`);
+  }
+  return value;
+}
+
+function requiredString(params, key) {
+  if (typeof params[key] !== 'string' || !params[key]) {
+    throw invalidParams(`${key} must be a non-empty string`);
+  }
+  return params[key];
+}
+
+/**
+ * JSON-RPC 2.0 over a single warm GitWhy instance.
+ *
+ * Methods:
+ *   explain        { file, line?, endLine?, function?, history?, rev?, stream? }
+ *   explainCommit  { rev, stream? }
+ *   explainRange   { range, stream? }
+ *   explainStaged  { stream? }
+ *   cancel         { id }   (also accepted as $/cancelRequest)
+ *   ping
+ *
+ * Results are the same objects git-why --json prints. With stream: true,
+ * { method: 'chunk', params: { id, text } } notifications are sent as the
+ * explanation arrives, before the response. A cancelled request gets a
+ * REQUEST_CANCELLED error.
+ *
+ * Request ids belong to a session, one per client (a stdio stream, an HTTP
+ * request): two clients may both use id 1, and cancel only reaches the
+ * requests of its own session.
+ */
+export class RpcServer {
+  constructor(gitWhy) {
+    this.gitWhy = gitWhy;
+    // Sessions are maps of request id -> AbortController, for requests
+    // still running; handle() uses the default one unless given another
+    this.pending = new Map();
+    this.sessions = new Set([this.pending]);
+  }
+
+  /**
+   * Start a session with its own request ids
+   */
+  openSession() {
+    const session = new Map();
+    this.sessions.add(session);
+    return session;
+  }
+
+  /**
+   * End a session (its client went away), cancelling what is still running
+   */
+  closeSession(session) {
+    this.cancelAll(session);
+    if (session !== this.pending) this.sessions.delete(session);
+  }
+
+  /**
+   * Handle one parsed message. notify(message) sends a notification for
+   * this request. Resolves to the response, or null for notifications.
+   */
+  async handle(message, notify = () => {}, session = this.pending) {
+    if (!message || typeof message !== 'object' || Array.isArray(message) ||
+        message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      return this.error(message?.id ?? null, RPC_ERRORS.INVALID_REQUEST, 'Invalid request');
+    }
+
+    const { id, method, params = {} } = message;
+    const isNotification = id === undefined;
+
+    if (method === 'cancel' || method === '$/cancelRequest') {
+      const cancelled = this.cancel(params.id, session);
+      return isNotification ? null : { jsonrpc: '2.0', id, result: { cancelled } };
+    }
+
+    if (!isNotification && session.has(id)) {
+      return this.error(id, RPC_ERRORS.INVALID_REQUEST, `Request ${id} is already running`);
+    }
+
+    const controller = new AbortController();
+    if (!isNotification) session.set(id, controller);
+
+    try {
+      const onChunk = params.stream && !isNotification
+        ? text => notify({ jsonrpc: '2.0', method: 'chunk', params: { id, text } })
+        : undefined;
+      const result = await this.call(method, params, { onChunk, signal: controller.signal });
+      return isNotification ? null : { jsonrpc: '2.0', id, result };
+    } catch (error) {
+      if (isNotification) return null;
+      if (controller.signal.aborted || error.code === 'CANCELLED') {
+        return this.error(id, RPC_ERRORS.REQUEST_CANCELLED, 'Request cancelled');
+      }
+      return this.error(id, error.rpcCode || RPC_ERRORS.SERVER_ERROR, error.message);
+    } finally {
+      if (session.get(id) === controller) session.delete(id);
+    }
+  }
+
+  /**
+   * Cancel a running request of a session; false if it already finished
+   * or never existed
+   */
+  cancel(id, session = this.pending) {
+    const controller = session.get(id);
+    if (!controller) return false;
+    controller.abort();
+    session.delete(id);
+    return true;
+  }
+
+  /**
+   * Cancel everything still running in a session, or in every session
+   */
+  cancelAll(session = null) {
+    for (const each of session ? [session] : this.sessions) {
+      for (const id of [...each.keys()]) this.cancel(id, each);
+    }
+  }
+
+  async call(method, params, { onChunk, signal }) {
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+      throw invalidParams('params must be an object');
+    }
+
+    if (method === 'ping') {
+      return 'pong';
+    }
+
+    // The instance outlives commits, fetches and config edits
+    this.gitWhy.refresh();
+
+    if (method === 'explain') {
+      const file = requiredString(params, 'file');
+      const lineNumber = optionalLine(params, 'line');
+      const endLine = optionalLine(params, 'endLine');
+      if (endLine && (!lineNumber || endLine <= lineNumber)) {
+        throw invalidParams('endLine must be greater than line');
+      }
+      for (const key of ['function', 'rev']) {
+        if (params[key] !== undefined && typeof params[key] !== 'string') {
+          throw invalidParams(`${key} must be a string`);
+        }
+      }
+
+      const result = await this.gitWhy.explain(file, {
+        lineNumber,
+        endLine,
+        functionName: params.function,
+        history: params.history === true,
+        rev: params.rev,
+        onChunk,
+        signal
+      });
+      return this.gitWhy.serializeResult(result);
+    }
+
+    if (method === 'explainCommit') {
+      const result = await this.gitWhy.explainCommit(requiredString(params, 'rev'), { onChunk, signal });
+      return this.gitWhy.serializeResult(result);
+    }
+
+    if (method === 'explainRange') {
+      const result = await this.gitWhy.explainRange(requiredString(params, 'range'), { onChunk, signal });
+      return this.gitWhy.serializeResult(result);
+    }
+
+    if (method === 'explainStaged') {
+      const result = await this.gitWhy.explainStaged({ onChunk, signal });
+      return this.gitWhy.serializeResult(result);
+    }
+
+    const error = new Error(`Unknown method: ${method}`);
+    error.rpcCode = RPC_ERRORS.METHOD_NOT_FOUND;
+    throw error;
+  }
+
+  error(id, code, message) {
+    return { jsonrpc: '2.0', id, error: { code, message } };
+  }
+}
+
+/**
+ * Serve newline-delimited JSON-RPC on a pair of streams (stdin/stdout by
+ * default). Requests overlap while they wait on the model or stream a
+ * git log, and responses are written as they finish; blame and the other
+ * git commands run synchronously, though, so one request's blame holds up
+ * the others (and their cancel messages) until it is done. Resolves when
+ * input ends and the requests in flight are done.
+ */
+export function serveStdio(rpc, input = process.stdin, output = process.stdout) {
+  const write = message => output.write(JSON.stringify(message) + '\n');
+  const lines = createInterface({ input, crlfDelay: Infinity });
+
+  return new Promise(resolve => {
+    const running = new Set();
+    const session = rpc.openSession();
+
+    lines.on('line', line => {
+      if (!line.trim()) return;
+
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        write(rpc.error(null, RPC_ERRORS.PARSE_ERROR, 'Parse error'));
+        return;
+      }
+
+      const task = rpc.handle(message, write, session).then(response => {
+        if (response) write(response);
+      });
+      running.add(task);
+      task.finally(() => running.delete(task));
+    });
+
+    lines.on('close', () => {
+      Promise.allSettled([...running]).then(() => {
+        rpc.closeSession(session);
+        resolve();
+      });
+    });
+  });
+}
+
+/**
+ * HTTP transport: POST /rpc with one JSON-RPC request per call, GET
+ * /health. A request with params.stream gets an application/x-ndjson
+ * response: chunk notifications, then the response, one per line.
+ * Each POST is its own session, so ids never clash between clients;
+ * closing the connection early is how a request is cancelled.
+ *
+ * Only meant for 127.0.0.1: requests must carry a localhost Host header
+ * and a JSON content type, so web pages can't reach it from a browser.
+ */
+export function createHttpServer(rpc) {
+  return createServer((req, res) => {
+    const host = (req.headers.host || '').replace(/:\d+$/, '');
+    if (!LOCAL_HOSTS.has(host)) {
+      return sendJSON(res, 403, { error: 'Only localhost requests are accepted' });
+    }
+
+    if (req.method === 'GET' && req.url === '/health') {
+      return sendJSON(res, 200, { ok: true });
+    }
+    if (req.url !== '/rpc') {
+      return sendJSON(res, 404, { error: 'Not found' });
+    }
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      return sendJSON(res, 405, { error: 'Use POST' });
+    }
+    if (!/^application\/json\b/.test(req.headers['content-type'] || '')) {
+      return sendJSON(res, 415, { error: 'Content-Type must be application/json' });
+    }
+
+    readBody(req).then(body => {
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch {
+        return sendJSON(res, 200, rpc.error(null, RPC_ERRORS.PARSE_ERROR, 'Parse error'));
+      }
+
+      const streaming = Boolean(message?.params?.stream) && message.id !== undefined;
+      const session = rpc.openSession();
+      res.on('close', () => rpc.closeSession(session));
+
+      if (streaming) {
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      }
+      const notify = notification => res.write(JSON.stringify(notification) + '\n');
+
+      return rpc.handle(message, notify, session).then(response => {
+        if (res.destroyed) return;
+        if (streaming) {
+          res.end(JSON.stringify(response) + '\n');
+        } else if (response) {
+          sendJSON(res, 200, response);
+        } else {
+          res.writeHead(204).end();
+        }
+      });
+    }, error => {
+      sendJSON(res, 413, { error: error.message });
+    });
+  });
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
@@ -0,0 +1,562 @@
+import { parse } from '@babel/parser';
+import { extname } from 'path';
+
+const LANGUAGES = {
+  '.js': 'javascript',
+  '.mjs': 'javascript',
+  '.cjs': 'javascript',
+  '.jsx': 'javascript',
+  '.ts': 'typescript',
+  '.mts': 'typescript',
+  '.cts': 'typescript',
+  '.tsx': 'tsx',
+  '.py': 'python',
+  '.go': 'go',
+  '.rs': 'rust',
+  '.java': 'java'
+};
+
+// Kinds that can hold other symbols but are never a --function target
+const CONTAINER_ONLY = new Set(['impl']);
+
+const JAVA_KEYWORDS = new Set([
+  'return', 'new', 'else', 'throw', 'case', 'if', 'for', 'while', 'switch',
+  'catch', 'synchronized', 'do', 'try', 'assert', 'yield'
+]);
+
+const JAVA_MODIFIERS = new Set([
+  'public', 'protected', 'private', 'static', 'final', 'abstract',
+  'synchronized', 'native', 'default', 'strictfp'
+]);
+
+const JS_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'with', 'function', 'return']);
+
+/**
+ * Guess the language of a file from its extension
+ */
+export function detectLanguage(filePath) {
+  return LANGUAGES[extname(filePath).toLowerCase()] || 'generic';
+}
+
+/**
+ * Find functions, methods and classes in source code.
+ * Every symbol has a name, a dotted qualifiedName (Class.method), a kind,
+ * and an inclusive 1-based startLine/endLine.
+ */
+export function findSymbols(source, language = 'generic') {
+  let symbols;
+
+  if (language === 'javascript' || language === 'typescript' || language === 'tsx') {
+    try {
+      symbols = findJavaScriptSymbols(source, language);
+    } catch {
+      // Unparseable file: fall back to the lexical scanner
+      symbols = findBraceSymbols(source, 'generic');
+    }
+  } else if (language === 'python') {
+    symbols = findPythonSymbols(source);
+  } else {
+    symbols = findBraceSymbols(source, language);
+  }
+
+  return symbols.sort((a, b) => a.startLine - b.startLine || b.endLine - a.endLine);
+}
+
+/**
+ * Find symbols matching a name or a dotted path like Class.method
+ */
+export function locateSymbol(symbols, query) {
+  const candidates = symbols.filter(s => !CONTAINER_ONLY.has(s.kind));
+
+  const exact = candidates.filter(s => s.qualifiedName === query);
+  if (exact.length > 0) return exact;
+
+  return candidates.filter(s => s.name === query || s.qualifiedName.endsWith(`.${query}`));
+}
+
+/**
+ * Innermost function or method containing a line, falling back to a class
+ */
+export function symbolAtLine(symbols, line) {
+  const containing = symbols
+    .filter(s => !CONTAINER_ONLY.has(s.kind) && s.startLine <= line && s.endLine >= line)
+    .sort((a, b) => (a.endLine - a.startLine) - (b.endLine - b.startLine));
+
+  return containing.find(s => s.kind !== 'class') || containing[0] || null;
+}
+
+// ─── JavaScript / TypeScript ──────────────────────────────────────────────
+
+function findJavaScriptSymbols(source, language) {
+  const plugins = language === 'javascript'
+    ? ['jsx', 'decorators-legacy']
+    : language === 'tsx'
+      ? ['typescript', 'jsx', 'decorators-legacy']
+      : ['typescript', 'decorators-legacy'];
+
+  const ast = parse(source, {
+    sourceType: 'unambiguous',
+    errorRecovery: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowImportExportEverywhere: true,
+    plugins
+  });
+
+  const symbols = [];
+
+  const emit = (rangeNode, name, kind, scope) => {
+    symbols.push({
+      name,
+      qualifiedName: [...scope, name].join('.'),
+      kind,
+      startLine: rangeNode.loc.start.line,
+      endLine: rangeNode.loc.end.line
+    });
+    return [...scope, name];
+  };
+
+  const visit = (node, scope) => {
+    if (!node || typeof node.type !== 'string') return;
+
+    switch (node.type) {
+      case 'FunctionDeclaration':
+      case 'TSDeclareFunction':
+        if (node.id) {
+          return visitChildren(node, emit(node, node.id.name, 'function', scope));
+        }
+        break;
+
+      case 'ClassDeclaration':
+      case 'ClassExpression':
+        if (node.id) {
+          return visitChildren(node, emit(node, node.id.name, 'class', scope));
+        }
+        break;
+
+      case 'ClassMethod':
+      case 'ClassPrivateMethod':
+      case 'ObjectMethod':
+      case 'TSDeclareMethod': {
+        const name = propertyName(node.key);
+        if (name) {
+          return visitChildren(node, emit(node, name, 'method', scope));
+        }
+        break;
+      }
+
+      case 'ClassProperty':
+      case 'ClassPrivateProperty':
+      case 'ObjectProperty': {
+        const name = propertyName(node.key);
+        if (name && isFunction(node.value)) {
+          return visitChildren(node.value, emit(node, name, 'method', scope));
+        }
+        if (name && node.value && (node.value.type === 'ObjectExpression' || node.value.type === 'ClassExpression')) {
+          if (node.value.type === 'ClassExpression' && !node.value.id) {
+            return visitChildren(node.value, emit(node, name, 'class', scope));
+          }
+          return visit(node.value, [...scope, name]);
+        }
+        break;
+      }
+
+      case 'VariableDeclaration':
+        // Report `const x = () => {}` from the `const`, not the identifier
+        for (const declarator of node.declarations) {
+          visitDeclarator(declarator, node.declarations.length === 1 ? node : declarator, scope);
+        }
+        return;
+
+      case 'AssignmentExpression':
+        if (node.left.type === 'MemberExpression' && isFunction(node.right)) {
+          const path = memberPath(node.left);
+          if (path) {
+            const name = path.pop();
+            return visitChildren(node.right, emit(node, name, 'function', [...scope, ...path]));
+          }
+        }
+        break;
+    }
+
+    visitChildren(node, scope);
+  };
+
+  const visitDeclarator = (declarator, rangeNode, scope) => {
+    const { id, init } = declarator;
+    if (id.type !== 'Identifier' || !init) {
+      visitChildren(declarator, scope);
+      return;
+    }
+
+    if (isFunction(init)) {
+      visitChildren(init, emit(rangeNode, id.name, 'function', scope));
+    } else if (init.type === 'ClassExpression') {
+      visitChildren(init, emit(rangeNode, id.name, 'class', scope));
+    } else if (init.type === 'ObjectExpression') {
+      visit(init, [...scope, id.name]);
+    } else {
+      visit(init, scope);
+    }
+  };
+
+  const visitChildren = (node, scope) => {
+    for (const key of Object.keys(node)) {
+      if (key === 'loc' || key === 'extra' || key.endsWith('Comments')) continue;
+      const value = node[key];
+      if (Array.isArray(value)) {
+        for (const child of value) visit(child, scope);
+      } else if (value && typeof value === 'object') {
+        visit(value, scope);
+      }
+    }
+  };
+
+  visit(ast.program, []);
+  return symbols;
+}
+
+function isFunction(node) {
+  return !!node && (node.type === 'ArrowFunctionExpression' || node.type === 'FunctionExpression');
+}
+
+function propertyName(key) {
+  if (!key) return null;
+  if (key.type === 'Identifier') return key.name;
+  if (key.type === 'StringLiteral') return key.value;
+  if (key.type === 'NumericLiteral') return String(key.value);
+  if (key.type === 'PrivateName') return `#${key.id.name}`;
+  return null;
+}
+
+function memberPath(node) {
+  if (node.type === 'Identifier') return [node.name];
+  if (node.type === 'ThisExpression') return [];
+  if (node.type !== 'MemberExpression' || node.computed) return null;
+
+  const object = memberPath(node.object);
+  const name = propertyName(node.property);
+  if (!object || !name) return null;
+
+  // Foo.prototype.bar reads as Foo.bar
+  return name === 'prototype' ? object : [...object, name];
+}
+
+// ─── Lexical scanning shared by the other languages ───────────────────────
+
+/**
+ * Blank out comments and string contents (keeping quotes and newlines) so
+ * braces and keywords inside them can't confuse the scanners.
+ * Also reports which lines start inside a multi-line string or comment.
+ */
+export function stripCode(source, language) {
+  const out = source.split('');
+  const continued = new Set();
+  const hashComments = language === 'python';
+  const slashComments = language !== 'python';
+  let line = 0;
+  let i = 0;
+
+  const blank = (from, to) => {
+    for (let k = from; k < to; k++) {
+      if (out[k] !== '\n') out[k] = ' ';
+    }
+  };
+
+  // Advance to `end`, counting newlines that land inside the skipped region
+  const skipTo = (end) => {
+    for (let k = i; k < end; k++) {
+      if (source[k] === '\n') {
+        line++;
+        continued.add(line);
+      }
+    }
+    i = end;
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+    const next = source[i + 1];
+
+    if (ch === '\n') {
+      line++;
+      i++;
+      continue;
+    }
+
+    // Line comments
+    if ((slashComments && ch === '/' && next === '/') || (hashComments && ch === '#')) {
+      let end = source.indexOf('\n', i);
+      if (end === -1) end = source.length;
+      blank(i, end);
+      i = end;
+      continue;
+    }
+
+    // Block comments (Rust allows nesting)
+    if (slashComments && ch === '/' && next === '*') {
+      let depth = 1;
+      let k = i + 2;
+      while (k < source.length && depth > 0) {
+        if (source[k] === '*' && source[k + 1] === '/') {
+          depth--;
+          k += 2;
+        } else if (language === 'rust' && source[k] === '/' && source[k + 1] === '*') {
+          depth++;
+          k += 2;
+        } else {
+          k++;
+        }
+      }
+      blank(i, k);
+      skipTo(k);
+      continue;
+    }
+
+    // Rust raw strings: r"..." r#"..."#
+    if (language === 'rust' && ch === 'r' && (next === '"' || next === '#') && !/\w/.test(source[i - 1] || '')) {
+      const raw = source.slice(i).match(/^r(#*)"/);
+      if (raw) {
+        const close = `"${raw[1]}`;
+        const start = i + raw[0].length;
+        let end = source.indexOf(close, start);
+        end = end === -1 ? source.length : end;
+        blank(start, end);
+        skipTo(Math.min(source.length, end + close.length));
+        continue;
+      }
+    }
+
+    // Triple-quoted strings (Python, Java text blocks)
+    if ((language === 'python' || language === 'java') && (ch === '"' || ch === "'") &&
+        next === ch && source[i + 2] === ch && (language === 'python' || ch === '"')) {
+      const quote = ch.repeat(3);
+      let k = i + 3;
+      while (k < source.length && source.slice(k, k + 3) !== quote) {
+        k += source[k] === '\\' ? 2 : 1;
+      }
+      blank(i + 3, Math.min(k, source.length));
+      skipTo(Math.min(source.length, k + 3));
+      continue;
+    }
+
+    // Single-quoted chars in Rust may be lifetimes ('a) rather than literals
+    if (ch === "'" && language === 'rust') {
+      const literal = source.slice(i).match(/^'(?:\\(?:u\{[0-9a-fA-F]+\}|x[0-9a-fA-F]{2}|.)|[^'\\\n])'/);
+      if (!literal) {
+        i++;
+        continue;
+      }
+    }
+
+    // Ordinary strings
+    const quoteChars = language === 'go' || language === 'javascript' || language === 'typescript' ||
+      language === 'tsx' || language === 'generic' ? '"\'`' : '"\'';
+    if (quoteChars.includes(ch)) {
+      const raw = language === 'go' && ch === '`';
+      const multiline = ch === '`';
+      let k = i + 1;
+      while (k < source.length && source[k] !== ch) {
+        if (source[k] === '\n' && !multiline) break;
+        k += !raw && source[k] === '\\' ? 2 : 1;
+      }
+      blank(i + 1, Math.min(k, source.length));
+      skipTo(Math.min(source.length, k + (source[k] === ch ? 1 : 0)));
+      continue;
+    }
+
+    i++;
+  }
+
+  return { code: out.join(''), continued };
+}
+
+function lineIndex(code) {
+  const starts = [0];
+  for (let i = 0; i < code.length; i++) {
+    if (code[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+}
+
+function lineAt(starts, offset) {
+  let lo = 0;
+  let hi = starts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (starts[mid] <= offset) lo = mid; else hi = mid - 1;
+  }
+  return lo + 1;
+}
+
+/**
+ * From a declaration, find the end of its body: the matching close brace,
+ * or a `;` for bodiless declarations. Parens and brackets are skipped so
+ * `func(x struct{})` style parameters don't count as the body.
+ */
+function findBodyEnd(code, from) {
+  let depth = 0;
+  for (let i = from; i < code.length; i++) {
+    const ch = code[i];
+    if (ch === '(' || ch === '[') depth++;
+    else if (ch === ')' || ch === ']') depth--;
+    else if (depth <= 0 && ch === ';') return i;
+    else if (depth <= 0 && ch === '{') {
+      let braces = 0;
+      for (let k = i; k < code.length; k++) {
+        if (code[k] === '{') braces++;
+        else if (code[k] === '}') {
+          braces--;
+          if (braces === 0) return k;
+        }
+      }
+      return code.length - 1;
+    }
+  }
+  return from;
+}
+
+const DECLARATIONS = {
+  go: [
+    { re: /^[ \t]*func\s+\(\s*(?:\w+\s+)?\*?\s*(\w+)(?:\[[^\]]*\])?\s*\)\s*(\w+)/, kind: 'method', receiver: 1, name: 2 },
+    { re: /^[ \t]*func\s+(\w+)/, kind: 'function', name: 1 },
+    { re: /^[ \t]*(?:type\s+)?(\w+)\s+(?:struct|interface)\s*\{/, kind: 'class', name: 1 }
+  ],
+  rust: [
+    { re: /^[ \t]*(?:pub(?:\([^)]*\))?\s+)?(?:(?:const|async|unsafe|extern(?:\s+"[^"]*")?)\s+)*fn\s+(\w+)/, kind: 'function', name: 1 },
+    { re: /^[ \t]*(?:unsafe\s+)?impl\b(?:\s*<[^{]*?>)?\s+(?:[\w:]+(?:<[^{]*?>)?\s+for\s+)?(?:[\w]+::)*(\w+)/, kind: 'impl', name: 1 },
+    { re: /^[ \t]*(?:pub(?:\([^)]*\))?\s+)?(?:struct|enum|trait|union)\s+(\w+)/, kind: 'class', name: 1 },
+    { re: /^[ \t]*(?:pub(?:\([^)]*\))?\s+)?mod\s+(\w+)\s*\{/, kind: 'module', name: 1 }
+  ],
+  java: [
+    { re: /^[ \t]*(?:@\w+(?:\([^)]*\))?\s+)*(?:(?:public|protected|private|static|final|abstract|sealed|non-sealed|strictfp)\s+)*(?:class|interface|enum|record|@interface)\s+(\w+)/, kind: 'class', name: 1 },
+    { re: /^[ \t]*(?:@\w+(?:\([^)]*\))?\s+)*(?:(?:public|protected|private|static|final|abstract|synchronized|native|default|strictfp)\s+)*(?:<[^>]*>\s+)?([\w$][\w$<>,.?[\]\s]*?)\s+([\w$]+)\s*\(/, kind: 'function', type: 1, name: 2 },
+    { re: /^[ \t]*(?:(?:public|protected|private)\s+)?([A-Z][\w$]*)\s*\(/, kind: 'constructor', name: 1 }
+  ],
+  generic: [
+    { re: /^[ \t]*(?:export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+(\w+)/, kind: 'class', name: 1 },
+    { re: /^[ \t]*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*(\w+)/, kind: 'function', name: 1 },
+    { re: /^[ \t]*(?:export\s+)?(?:const|let|var)\s+(\w+)\s*=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|\w+\s*=>)/, kind: 'function', name: 1 },
+    { re: /^[ \t]*(\w+)\s*:\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|\w+\s*=>)/, kind: 'method', name: 1 },
+    { re: /^[ \t]*(?:(?:static|async|get|set|public|private|protected)\s+)*(\w+)\s*\([^)]*\)\s*\{/, kind: 'method', name: 1, keywords: JS_KEYWORDS },
+    { re: /^[ \t]*def\s+(\w+)/, kind: 'function', name: 1 },
+    { re: /^[ \t]*func\s+(\w+)/, kind: 'function', name: 1 }
+  ]
+};
+
+function findBraceSymbols(source, language) {
+  const patterns = DECLARATIONS[language] || DECLARATIONS.generic;
+  const { code } = stripCode(source, language);
+  const starts = lineIndex(code);
+  const lines = code.split('\n');
+  const symbols = [];
+
+  lines.forEach((text, index) => {
+    for (const pattern of patterns) {
+      const match = text.match(pattern.re);
+      if (!match) continue;
+
+      const name = match[pattern.name];
+      if (pattern.keywords && pattern.keywords.has(name)) continue;
+      if (language === 'java' && pattern.type) {
+        const words = match[pattern.type].split(/[\s<>,.?[\]]+/);
+        if (JAVA_KEYWORDS.has(name) || words.some(w => JAVA_KEYWORDS.has(w) || JAVA_MODIFIERS.has(w))) continue;
+      }
+
+      const offset = starts[index] + match.index + match[0].length;
+      const end = findBodyEnd(code, offset);
+      symbols.push({
+        name,
+        kind: pattern.kind,
+        receiver: pattern.receiver ? match[pattern.receiver] : null,
+        startLine: index + 1,
+        endLine: lineAt(starts, end)
+      });
+      break;
+    }
+  });
+
+  // Java constructors only count inside a class of the same name
+  const filtered = symbols.filter(s => s.kind !== 'constructor' ||
+    symbols.some(c => c.kind === 'class' && c.name === s.name && c.startLine < s.startLine && c.endLine >= s.endLine));
+
+  return qualify(filtered);
+}
+
+// ─── Python ───────────────────────────────────────────────────────────────
+
+function findPythonSymbols(source) {
+  const { code, continued } = stripCode(source, 'python');
+  const lines = code.split('\n');
+  const indentOf = (text) => text.match(/^[ \t]*/)[0].replace(/\t/g, '        ').length;
+
+  // Lines that start inside brackets continue the previous logical line
+  const insideBrackets = [];
+  let depth = 0;
+  for (const text of lines) {
+    insideBrackets.push(depth > 0);
+    for (const ch of text) {
+      if ('([{'.includes(ch)) depth++;
+      else if (')]}'.includes(ch)) depth = Math.max(0, depth - 1);
+    }
+  }
+
+  const symbols = [];
+  lines.forEach((text, index) => {
+    if (insideBrackets[index] || continued.has(index)) return;
+
+    const match = text.match(/^([ \t]*)(?:async\s+)?(def|class)\s+(\w+)/);
+    if (!match) return;
+
+    const indent = indentOf(text);
+    let end = index;
+    for (let j = index + 1; j < lines.length; j++) {
+      if (!lines[j].trim()) continue;
+      if (!insideBrackets[j] && !continued.has(j) && indentOf(lines[j]) <= indent) break;
+      end = j;
+    }
+
+    // Decorators belong to the definition
+    let start = index;
+    while (start > 0 && /^[ \t]*@/.test(lines[start - 1]) && indentOf(lines[start - 1]) === indent) {
+      start--;
+    }
+
+    symbols.push({
+      name: match[3],
+      kind: match[2] === 'class' ? 'class' : 'function',
+      startLine: start + 1,
+      endLine: end + 1
+    });
+  });
+
+  return qualify(symbols);
+}
+
+/**
+ * Derive qualified names and method kinds from how symbols nest
+ */
+function qualify(symbols) {
+  const sorted = [...symbols].sort((a, b) => a.startLine - b.startLine || b.endLine - a.endLine);
+
+  return sorted.map(symbol => {
+    const parents = sorted.filter(p => p !== symbol &&
+      p.startLine <= symbol.startLine && p.endLine >= symbol.endLine &&
+      (p.startLine < symbol.startLine || p.endLine > symbol.endLine));
+
+    const path = symbol.receiver ? [symbol.receiver] : parents.map(p => p.name);
+    const parent = parents[parents.length - 1];
+    let kind = symbol.kind;
+    if (kind === 'function' && (symbol.receiver || (parent && ['class', 'impl'].includes(parent.kind)))) {
+      kind = 'method';
+    }
+
+    return {
+      name: symbol.name,
+      qualifiedName: [...path, symbol.name].join('.'),
+      kind,
+      startLine: symbol.startLine,
+      endLine: symbol.endLine
+    };
+  });
+}
@@ -1,9 +1,22 @@
 #!/usr/bin/env node
 
 import { GitWhy } from '../lib/git-why.js';
-import { existsSync, mkdirSync, writeFileSync, rmSync } from 'fs';
-import { execSync } from 'child_process';
+import { createProvider, MockProvider } from '../lib/providers.js';
+import { mapPool } from '../lib/pool.js';
+import { classifyPath, selectDiffs } from '../lib/budget.js';
+import { createTracker, extractReferences } from '../lib/references.js';
+import { loadConfig } from '../lib/config.js';
+import { markdownToHtml } from '../lib/render.js';
+import { buildReport, writeReport } from '../lib/report.js';
+import { findHotspots, isPoorMessage } from '../lib/hotspots.js';
+import { findOwners } from '../lib/owners.js';
+import { gitSucceeds, runGit, streamGit, streamGitRecords } from '../lib/git.js';
+import { RpcServer, RPC_ERRORS, createHttpServer, serveStdio } from '../lib/server.js';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { execFileSync, execSync } from 'child_process';
+import { createServer, get } from 'http';
 import { join } from 'path';
+import { PassThrough } from 'stream';
 
 const TEST_DIR = '/tmp/git-why-test-' + Date.now();
 
@@ -63,6 +76,18 @@ function test(name, fn) {
   }
 }
 
+async function testAsync(name, fn) {
+  try {
+    await fn();
+    console.log('✅', name);
+    return true;
+  } catch (error) {
+    console.error('❌', name);
+    console.error('  ', error.message);
+    return false;
+  }
+}
+
 async function runTests() {
   console.log('\n🧪 Running git-why tests...\n');
   
@@ -162,6 +187,1060 @@ async function runTests() {
     }
   })) passed++; else failed++;
 
+  // Test 11: Mock provider end to end
+  if (await testAsync('GitWhy.explain() runs end to end with the mock provider', async () => {
+    const mockWhy = new GitWhy({ noColor: true, provider: 'mock' });
+    const result = await mockWhy.explain('test.js', { lineNumber: 3 });
+    if (!result.explanation.startsWith('[mock] Explanation for line 3')) {
+      throw new Error(`Unexpected explanation: ${result.explanation}`);
+    }
+    const again = await mockWhy.explain('test.js', { lineNumber: 3 });
+    if (again.explanation !== result.explanation) {
+      throw new Error('Mock provider should be deterministic');
+    }
+  })) passed++; else failed++;
+
+  // Test 12: Provider instances and unknown names
+  if (await testAsync('Providers can be injected and unknown names are rejected', async () => {
+    const mock = new MockProvider();
+    const injected = new GitWhy({ provider: mock });
+    await injected.explain('test.js', { lineNumber: 2 });
+    if (mock.calls.length !== 1) {
+      throw new Error('Injected provider should receive the prompt');
+    }
+    try {
+      createProvider('nope');
+      throw new Error('Should reject unknown provider');
+    } catch (error) {
+      if (!error.message.includes('Unknown provider')) throw error;
+    }
+  })) passed++; else failed++;
+
+  // Test 13: Lineage through a rename and a cross-file move
+  if (test('GitWhy.traceLineage() follows renames and moves to the introducing commit', () => {
+    writeFileSync('origin.js', `function alpha() {
+  return computeSomethingImportant(42);
+}
+`);
+    execSync('git add origin.js');
+    execSync('git commit -m "Add alpha"');
+    execSync('git mv origin.js renamed.js');
+    execSync('git commit -m "Rename origin to renamed"');
+    writeFileSync('target.js', '// header\n');
+    execSync('git add target.js');
+    execSync('git commit -m "Add target"');
+    writeFileSync('target.js', '// header\n' + readFileSync('renamed.js', 'utf-8'));
+    execSync('git rm -q renamed.js');
+    execSync('git add target.js');
+    execSync('git commit -m "Move alpha into target"');
+
+    const [group] = gitWhy.traceLineage('target.js', 3);
+    const kinds = group.chain.map(hop => hop.kind).join(',');
+    if (kinds !== 'moved,introduced') {
+      throw new Error(`Expected moved,introduced chain, got ${kinds}`);
+    }
+    const origin = group.chain[1];
+    if (origin.summary !== 'Add alpha' || origin.filename !== 'origin.js') {
+      throw new Error(`Expected origin in "Add alpha" (origin.js), got "${origin.summary}" (${origin.filename})`);
+    }
+  })) passed++; else failed++;
+
+  // Test 14: Line history timeline
+  if (await testAsync('GitWhy.explain() with history builds a timeline from git log -L', async () => {
+    const mockWhy = new GitWhy({ provider: 'mock' });
+    const result = await mockWhy.explain('test.js', { lineNumber: 1, endLine: 5, history: true });
+    if (!result.timeline || result.timeline[0].kind !== 'introduced') {
+      throw new Error('Timeline should start with the introducing revision');
+    }
+    if (result.timeline[0].summaries[0] !== 'Initial implementation') {
+      throw new Error(`Unexpected first revision: ${result.timeline[0].summaries[0]}`);
+    }
+    const prompt = mockWhy.buildPrompt(result.context);
+    if (!prompt.includes('Line history (oldest first')) {
+      throw new Error('Prompt should carry the timeline instead of the blame list');
+    }
+  })) passed++; else failed++;
+
+  // Test 15: Structural symbol lookup
+  if (test('GitWhy.locateFunction() resolves Class.method and reports ambiguity', () => {
+    writeFileSync('shapes.js', `class Circle {
+  area() {
+    const note = "} not a brace";
+    return Math.PI;
+  }
+}
+class Square {
+  area() {
+    return 1;
+  }
+}
+`);
+    const method = gitWhy.locateFunction('shapes.js', 'Square.area');
+    if (method.startLine !== 8 || method.endLine !== 10) {
+      throw new Error(`Expected lines 8-10, got ${method.startLine}-${method.endLine}`);
+    }
+    const circle = gitWhy.locateFunction('shapes.js', 'Circle.area');
+    if (circle.endLine !== 5) {
+      throw new Error(`Braces in strings should be ignored, got end line ${circle.endLine}`);
+    }
+    try {
+      gitWhy.locateFunction('shapes.js', 'area');
+      throw new Error('Should reject ambiguous name');
+    } catch (error) {
+      if (!error.message.includes('ambiguous') || error.candidates?.length !== 2) throw error;
+    }
+  })) passed++; else failed++;
+
+  // Test 16: Python ranges come from indentation
+  if (test('GitWhy.locateFunction() finds Python methods by indentation', () => {
+    writeFileSync('service.py', `class Service:
+    def start(self):
+        text = """
+}
+"""
+        return text
+
+    def stop(self):
+        pass
+`);
+    const method = gitWhy.locateFunction('service.py', 'Service.start');
+    if (method.startLine !== 2 || method.endLine !== 6) {
+      throw new Error(`Expected lines 2-6, got ${method.startLine}-${method.endLine}`);
+    }
+    const at = gitWhy.findFunctionAtLine('service.py', 9);
+    if (at?.name !== 'Service.stop') {
+      throw new Error(`Expected Service.stop, got ${at?.name}`);
+    }
+  })) passed++; else failed++;
+
+  // Test 17: Explanation cache
+  if (await testAsync('GitWhy.explain() caches by blame and invalidates when it changes', async () => {
+    const mock = new MockProvider();
+    const cachedWhy = new GitWhy({ provider: mock });
+    cachedWhy.getCache().clear();
+
+    const first = await cachedWhy.explain('test2.js', { lineNumber: 2 });
+    const second = await cachedWhy.explain('test2.js', { lineNumber: 2 });
+    if (first.cached || !second.cached || mock.calls.length !== 1) {
+      throw new Error('Second call should be served from the cache');
+    }
+    if (second.commits.some(c => c.diff !== undefined) || second.context.commits || !second.context.file) {
+      throw new Error('The cache should keep the target but not the commit diffs');
+    }
+    if (cachedWhy.startChat(second).messages[0].content !== mock.calls[0][0].content) {
+      throw new Error('A chat about a cached explanation should start from the prompt that was sent');
+    }
+
+    writeFileSync('test2.js', 'function goodbye() {\n  return "so long";\n}\n');
+    execSync('git commit -am "Change farewell"');
+    const third = await cachedWhy.explain('test2.js', { lineNumber: 2 });
+    if (third.cached || mock.calls.length !== 2) {
+      throw new Error('Changed blame should invalidate the cache');
+    }
+    if (cachedWhy.getCache().stats().entries !== 1) {
+      throw new Error('Stale entry for the same target should be dropped');
+    }
+
+    const uncached = new GitWhy({ provider: mock, cache: false });
+    await uncached.explain('test2.js', { lineNumber: 2 });
+    if (mock.calls.length !== 3) {
+      throw new Error('cache: false should always call the provider');
+    }
+  })) passed++; else failed++;
+
+  // Test 18: Commit and range explanations
+  if (await testAsync('GitWhy.explainCommit() blames the lines a commit replaces', async () => {
+    const changeWhy = new GitWhy({ provider: 'mock', cache: false });
+    const result = await changeWhy.explainCommit('HEAD');
+    const hunk = result.hunks.find(h => h.file === 'test2.js');
+    if (!hunk || hunk.kind !== 'modified') {
+      throw new Error('Should find the modified hunk in test2.js');
+    }
+    if (hunk.owners[0]?.summary !== 'Add goodbye function') {
+      throw new Error(`Replaced line should be owned by "Add goodbye function", got ${hunk.owners[0]?.summary}`);
+    }
+    if (result.change.commits[0].summary !== 'Change farewell') {
+      throw new Error('Change should list the commit being explained');
+    }
+
+    const range = await changeWhy.explainRange('HEAD~1..HEAD');
+    if (range.hunks.length !== result.hunks.length || !range.explanation.includes('range HEAD~1..HEAD')) {
+      throw new Error('Range of one commit should match the commit explanation');
+    }
+  })) passed++; else failed++;
+
+  // Test 19: Follow-up chat keeps the gathered context
+  if (await testAsync('ChatSession keeps history and attaches commits to the next question', async () => {
+    const mock = new MockProvider();
+    const chatWhy = new GitWhy({ provider: mock, cache: false });
+    const result = await chatWhy.explain('test.js', { lineNumber: 3 });
+    const session = chatWhy.startChat(result);
+
+    const attached = session.attachCommit('HEAD~1');
+    await session.ask('Why not use a mutex here?');
+
+    const sent = mock.calls[mock.calls.length - 1];
+    if (sent.length !== 3 || sent[0].content !== chatWhy.buildPrompt(result.context)) {
+      throw new Error('Follow-up should resend the original prompt and explanation');
+    }
+    if (!sent[2].content.includes(`Additional commit ${attached.hash.substring(0, 8)}`) ||
+        !sent[2].content.endsWith('Why not use a mutex here?')) {
+      throw new Error('Attached commit should be sent with the question');
+    }
+
+    session.save('transcript.md');
+    const transcript = readFileSync('transcript.md', 'utf-8');
+    if (!transcript.includes('## > Why not use a mutex here?') || !transcript.includes('test.js:3')) {
+      throw new Error('Transcript should include the target and questions');
+    }
+  })) passed++; else failed++;
+
+  // Test 20: Streaming
+  if (await testAsync('GitWhy.explainStream() yields chunks and then the result', async () => {
+    const streamWhy = new GitWhy({ provider: 'mock', cache: false });
+    let text = '';
+    let chunks = 0;
+    let result = null;
+    for await (const event of streamWhy.explainStream('test.js', { lineNumber: 2 })) {
+      if (event.type === 'chunk') {
+        text += event.text;
+        chunks++;
+      } else {
+        result = event.result;
+      }
+    }
+    if (!result || chunks < 2 || text !== result.explanation) {
+      throw new Error(`Streamed text should arrive in pieces and match the explanation (${chunks} chunks)`);
+    }
+
+    const failing = new GitWhy({ provider: 'mock', cache: false });
+    try {
+      for await (const event of failing.explainStream('missing.js', { lineNumber: 1 })) {
+        throw new Error(`Unexpected ${event.type} event`);
+      }
+      throw new Error('Should surface the error');
+    } catch (error) {
+      if (!error.message.includes('File not found')) throw error;
+    }
+  })) passed++; else failed++;
+
+  // Test 21: Bounded pool and rate-limit retries
+  if (await testAsync('mapPool() bounds concurrency and explain retries 429s', async () => {
+    let running = 0;
+    let peak = 0;
+    const order = await mapPool([30, 10, 20, 5], 2, async (ms, index) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      running--;
+      return index;
+    });
+    if (peak !== 2 || order.join(',') !== '0,1,2,3') {
+      throw new Error(`Expected at most 2 in flight and ordered results, got peak ${peak}, ${order}`);
+    }
+
+    const mock = new MockProvider();
+    let attempts = 0;
+    const flaky = {
+      name: 'flaky',
+      async complete(request) {
+        if (++attempts < 3) {
+          throw Object.assign(new Error('429 Too Many Requests'), { status: 429 });
+        }
+        return mock.complete(request);
+      }
+    };
+    const retrying = new GitWhy({ provider: flaky, cache: false, retryDelay: 1 });
+    const result = await retrying.explain('test.js', { lineNumber: 2 });
+    if (attempts !== 3 || !result.explanation.startsWith('[mock]')) {
+      throw new Error(`Should succeed after two rate-limited attempts (attempts: ${attempts})`);
+    }
+
+    attempts = -10;
+    const impatient = new GitWhy({ provider: flaky, cache: false, retries: 1, retryDelay: 1 });
+    try {
+      await impatient.explain('test.js', { lineNumber: 2 });
+      throw new Error('Should give up after the retry limit');
+    } catch (error) {
+      if (!error.message.includes('429')) throw error;
+    }
+  })) passed++; else failed++;
+
+  // Test 22: Diff selection within a token budget
+  if (test('selectDiffs() keeps target hunks and drops lock files first', () => {
+    const diff = [
+      'diff --git a/package-lock.json b/package-lock.json',
+      '--- a/package-lock.json',
+      '+++ b/package-lock.json',
+      '@@ -1,1 +1,1 @@',
+      ...Array.from({ length: 40 }, (_, i) => `+    "dependency-${i}": "^1.0.0",`),
+      'diff --git a/src/auth.js b/src/auth.js',
+      '--- a/src/auth.js',
+      '+++ b/src/auth.js',
+      '@@ -2,0 +3,1 @@',
+      '+const unrelated = true;',
+      '@@ -40,1 +41,2 @@',
+      '-  return token;',
+      '+  if (!token) return null;',
+      '+  return token;'
+    ].join('\n');
+    const commits = [{ hash: 'abc123', diff }];
+    const targets = new Map([['abc123', [{ file: 'src/auth.js', lines: [42] }]]]);
+
+    const { excerpts, trimmed } = selectDiffs(commits, { budget: 40, targets });
+    const excerpt = excerpts.get('abc123');
+    if (!excerpt.includes('if (!token) return null;') || excerpt.includes('dependency-0')) {
+      throw new Error(`Target hunk should be kept and the lock file dropped:\n${excerpt}`);
+    }
+    const lock = trimmed[0].omitted.find(o => o.file === 'package-lock.json');
+    if (!lock || lock.reason !== 'lock file' || classifyPath('dist/app.min.js') !== 'generated') {
+      throw new Error(`Lock file should be reported as trimmed: ${JSON.stringify(trimmed)}`);
+    }
+  })) passed++; else failed++;
+
+  // Test 23: Issue and pull request references
+  if (await testAsync('Issue references are extracted, fetched and added to the prompt', async () => {
+    const refs = extractReferences('Fix crash on logout (#482), see acme/web#9 and OPS-12\n\nUTF-8 safe.\nRefs: !3\nFixes: 77');
+    const labels = refs.map(r => r.label).sort().join(' ');
+    if (labels !== '!3 #482 #77 OPS-12 acme/web#9') {
+      throw new Error(`Unexpected references: ${labels}`);
+    }
+
+    // Stub GitHub, GitLab and Jira APIs
+    const server = createServer((req, res) => {
+      const routes = {
+        '/repos/acme/api/issues/482': { title: 'Crash on logout', body: 'Session is null after expiry', html_url: 'https://github.com/acme/api/issues/482', state: 'closed' },
+        '/api/v4/projects/group%2Fapi/merge_requests/3': { title: 'Retry uploads', description: 'Flaky network', web_url: 'https://gitlab.example/group/api/-/merge_requests/3', state: 'merged' },
+        '/rest/api/2/issue/OPS-12?fields=summary,description,status,issuetype': { fields: { summary: 'Pager storm', description: 'Too many alerts', status: { name: 'Done' } } }
+      };
+      const body = routes[req.url];
+      res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body || { message: 'Not Found' }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      const byLabel = label => refs.find(r => r.label === label);
+      const github = createTracker('github', { repo: 'acme/api', url, token: '' });
+      const gitlab = createTracker('gitlab', { project: 'group/api', url, token: '' });
+      const jira = createTracker('jira', { url, token: '' });
+
+      const issue = await github.fetch(byLabel('#482'));
+      const mr = await gitlab.fetch(byLabel('!3'));
+      const ticket = await jira.fetch(byLabel('OPS-12'));
+      if (issue.title !== 'Crash on logout' || mr.title !== 'Retry uploads' || ticket.state !== 'Done') {
+        throw new Error('Adapters should map tracker responses');
+      }
+      if (await github.fetch(byLabel('#77')) !== null) {
+        throw new Error('Missing issues should return null');
+      }
+
+      writeFileSync('refs.js', 'export const token = value => value || null;\n');
+      execSync('git add refs.js');
+      execSync('git commit -m "Allow missing tokens" -m "Fixes #482"');
+
+      const mock = new MockProvider();
+      const refWhy = new GitWhy({ provider: mock, cache: false, trackers: [github] });
+      const result = await refWhy.explain('refs.js', { lineNumber: 1 });
+      const prompt = mock.calls[0][0].content;
+      if (!prompt.includes('#482 (issue, closed): Crash on logout') || !prompt.includes('Session is null after expiry')) {
+        throw new Error('Prompt should include the referenced issue');
+      }
+      if (result.commits[0].references[0].url !== 'https://github.com/acme/api/issues/482') {
+        throw new Error('Result commits should carry their references');
+      }
+    } finally {
+      server.close();
+    }
+
+    // Offline directory, configured per repository in git config
+    mkdirSync('issues', { recursive: true });
+    writeFileSync(join('issues', '482.md'), '# Crash on logout (offline copy)\n\nReported by support.\n');
+    execSync('git config gitwhy.trackers local');
+    execSync('git config gitwhy.local.dir issues');
+    try {
+      const mock = new MockProvider();
+      await new GitWhy({ provider: mock, cache: false }).explain('refs.js', { lineNumber: 1 });
+      if (!mock.calls[0][0].content.includes('#482 (issue): Crash on logout (offline copy)')) {
+        throw new Error('Local tracker should be loaded from git config');
+      }
+    } finally {
+      execSync('git config --remove-section gitwhy');
+      rmSync('issues', { recursive: true, force: true });
+    }
+  })) passed++; else failed++;
+
+  // Test 24: Config files and ignored commits
+  if (await testAsync('Config files merge and ignored commits are skipped in blame', async () => {
+    const home = join(TEST_DIR, 'home');
+    mkdirSync(home, { recursive: true });
+    writeFileSync(join(home, '.gitwhyrc'), JSON.stringify({ model: 'home-model', maxCommits: 3, ignore: { messages: ['^chore'] } }));
+    writeFileSync('git-why.config.js', 'export default { maxCommits: 2, ignore: { authors: ["\\\\[bot\\\\]"] } };\n');
+    try {
+      const untrusted = await loadConfig({ home, root: TEST_DIR });
+      if (untrusted.sources.length !== 1 || untrusted.skipped.length !== 1 || untrusted.config.maxCommits !== 3) {
+        throw new Error('A repository git-why.config.js should only run when trusted');
+      }
+
+      const { config, sources } = await loadConfig({ home, root: TEST_DIR, trust: true });
+      if (sources.length !== 2 || config.model !== 'home-model' || config.maxCommits !== 2 ||
+          config.ignore.messages.length !== 1 || config.ignore.authors.length !== 1) {
+        throw new Error(`Unexpected merged config: ${JSON.stringify(config)}`);
+      }
+
+      writeFileSync(join(home, '.gitwhyrc'), JSON.stringify({ maxComits: 3 }));
+      try {
+        await loadConfig({ home, root: null });
+        throw new Error('Should reject unknown options');
+      } catch (error) {
+        if (!error.message.includes('Unknown option "maxComits"')) throw error;
+      }
+
+      writeFileSync(join(home, '.gitwhyrc'), JSON.stringify({ ignore: { revsFile: 'missing-revs' } }));
+      try {
+        await loadConfig({ home, root: null });
+        throw new Error('Should reject a missing revs file');
+      } catch (error) {
+        if (!error.message.includes('ignore.revsFile missing-revs not found')) throw error;
+      }
+    } finally {
+      rmSync(home, { recursive: true, force: true });
+      rmSync('git-why.config.js', { force: true });
+    }
+
+    writeFileSync('ignore.js', 'const retries = 3;\n');
+    execSync('git add ignore.js');
+    execSync('git commit -m "Retry flaky uploads three times"');
+    const original = execSync('git rev-parse HEAD', { encoding: 'utf-8' }).trim();
+    writeFileSync('ignore.js', "const retries = 3; // SPDX-License-Identifier: MIT\n");
+    execSync('git commit -am "chore: add license headers"');
+    const chore = execSync('git rev-parse HEAD', { encoding: 'utf-8' }).trim();
+
+    const byMessage = new GitWhy({ ignore: { messages: ['^chore'] } });
+    if (byMessage.blameLines('ignore.js', { lineNumber: 1 })[0].hash !== original) {
+      throw new Error('Message patterns should skip the chore commit');
+    }
+
+    const warm = new GitWhy();
+    warm.refresh();
+    warm.blameLines('ignore.js', { lineNumber: 1 });
+    writeFileSync('.git-blame-ignore-revs', `# mass license update\n${chore}\n`);
+    try {
+      const byRevsFile = new GitWhy();
+      if (byRevsFile.blameLines('ignore.js', { lineNumber: 1 })[0].hash !== original) {
+        throw new Error('.git-blame-ignore-revs should be honored');
+      }
+      warm.refresh();
+      if (warm.blameLines('ignore.js', { lineNumber: 1 })[0].hash !== original) {
+        throw new Error('A long-lived instance should pick up a new .git-blame-ignore-revs');
+      }
+    } finally {
+      rmSync('.git-blame-ignore-revs', { force: true });
+    }
+  })) passed++; else failed++;
+
+  // Test 25: Markdown/HTML rendering and reports
+  if (await testAsync('Reports render each top-level function as a linked section', async () => {
+    const html = markdownToHtml('Uses `<script>` tags.\n\n- [docs](https://example.com)\n- [bad](javascript:alert(1))');
+    if (!html.includes('<code>&lt;script&gt;</code>') || !html.includes('<a href="https://example.com">docs</a>') || html.includes('href="javascript')) {
+      throw new Error(`Unexpected HTML: ${html}`);
+    }
+
+    mkdirSync('report-src', { recursive: true });
+    writeFileSync(join('report-src', 'store.js'), `class Store {
+  get(key) {
+    return this.items[key];
+  }
+}
+
+function createStore() {
+  return new Store();
+}
+`);
+    execSync('git add report-src');
+    execSync('git commit -m "Add store"');
+
+    const reportWhy = new GitWhy({ provider: 'mock', cache: false });
+    const sections = reportWhy.getFileSections(join('report-src', 'store.js'));
+    if (sections.map(s => `${s.name}:${s.startLine}-${s.endLine}`).join(' ') !== 'Store:1-5 createStore:7-9') {
+      throw new Error(`Unexpected sections: ${JSON.stringify(sections)}`);
+    }
+
+    const report = await buildReport(reportWhy, 'report-src', { concurrency: 2 });
+    const out = join(TEST_DIR, 'report-out');
+    const written = writeReport(report, out, 'markdown');
+    const index = readFileSync(written[0], 'utf-8');
+    const page = readFileSync(join(out, 'report-src', 'store.js.md'), 'utf-8');
+    if (!index.includes('[createStore](report-src/store.js.md#createstore)') ||
+        !page.includes('<a id="createstore"></a>') || !page.includes('| Add store |') ||
+        !page.includes('[Back to index](../index.md)')) {
+      throw new Error(`Report pages are missing sections or links:\n${index}\n${page}`);
+    }
+
+    writeReport(report, out, 'html');
+    if (!readFileSync(join(out, 'report-src', 'store.js.html'), 'utf-8').includes('<section id="store">')) {
+      throw new Error('HTML report should have a section per function');
+    }
+
+    const odd = { name: 'odd', head: report.head, commitUrl: null, files: [{ path: 'odd dir/a #1?.js', sections: [], skipped: 0 }] };
+    writeReport(odd, join(TEST_DIR, 'report-odd'), 'html');
+    const oddIndex = readFileSync(join(TEST_DIR, 'report-odd', 'index.html'), 'utf-8');
+    if (!oddIndex.includes('<a href="odd%20dir/a%20%231%3F.js.html">odd dir/a &#35;1?.js</a>')) {
+      throw new Error(`Index links should be encoded:\n${oddIndex}`);
+    }
+  })) passed++; else failed++;
+
+  // Test 26: serve over HTTP and stdio JSON-RPC
+  if (await testAsync('RpcServer streams results and cancels requests', async () => {
+    const mock = new MockProvider();
+    const slow = {
+      name: 'slow',
+      async complete({ messages, signal }) {
+        await new Promise((resolve, reject) => {
+          const timer = setTimeout(resolve, 5000);
+          signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new Error('aborted'));
+          });
+        });
+        return mock.complete({ messages });
+      }
+    };
+    const rpc = new RpcServer(new GitWhy({ provider: mock, cache: false }));
+    const server = createHttpServer(rpc);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/rpc`;
+    const post = (body) => fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', ...body })
+    });
+
+    try {
+      const lines = (await (await post({ id: 1, method: 'explain', params: { file: 'test.js', line: 2, stream: true } })).text())
+        .trim().split('\n').map(line => JSON.parse(line));
+      const final = lines.pop();
+      const streamed = lines.map(n => n.params.text).join('');
+      if (lines.length < 2 || lines.some(n => n.method !== 'chunk') || streamed !== final.result.explanation) {
+        throw new Error('Expected chunk notifications adding up to the final explanation');
+      }
+
+      const missing = await (await post({ id: 2, method: 'explain', params: { file: 'nope.js' } })).json();
+      const unknown = await (await post({ id: 3, method: 'blame' })).json();
+      if (missing.error?.code !== RPC_ERRORS.SERVER_ERROR || unknown.error?.code !== RPC_ERRORS.METHOD_NOT_FOUND) {
+        throw new Error('Expected server and method-not-found errors');
+      }
+
+      const forbidden = await new Promise((resolve, reject) => {
+        get({ port: server.address().port, host: '127.0.0.1', path: '/health', headers: { Host: 'example.com' } }, resolve).on('error', reject);
+      });
+      forbidden.resume();
+      if (forbidden.statusCode !== 403) {
+        throw new Error('Non-localhost Host headers should be rejected');
+      }
+    } finally {
+      server.close();
+    }
+
+    const slowRpc = new RpcServer(new GitWhy({ provider: slow, cache: false }));
+    const pending = slowRpc.handle({ jsonrpc: '2.0', id: 'hover', method: 'explain', params: { file: 'test.js', line: 1 } });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const cancel = await slowRpc.handle({ jsonrpc: '2.0', id: 'c', method: '$/cancelRequest', params: { id: 'hover' } });
+    const cancelled = await pending;
+    if (!cancel.result.cancelled || cancelled.error?.code !== RPC_ERRORS.REQUEST_CANCELLED) {
+      throw new Error(`Expected the hover request to be cancelled, got ${JSON.stringify(cancelled)}`);
+    }
+
+    // Two clients using the same id don't clash, and one leaving doesn't cancel the other
+    const [left, stayed] = [slowRpc.openSession(), slowRpc.openSession()];
+    const request = { jsonrpc: '2.0', id: 1, method: 'explain', params: { file: 'test.js', line: 1 } };
+    const leaving = slowRpc.handle(request, undefined, left);
+    const staying = slowRpc.handle(request, undefined, stayed);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    slowRpc.closeSession(left);
+    if ((await leaving).error?.code !== RPC_ERRORS.REQUEST_CANCELLED || !stayed.has(1)) {
+      throw new Error('Closing one session should only cancel its own requests');
+    }
+    slowRpc.closeSession(stayed);
+    await staying;
+
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const done = serveStdio(rpc, input, output);
+    input.end('{"jsonrpc":"2.0","id":7,"method":"ping"}\nnot json\n');
+    await done;
+    const replies = output.read().toString().trim().split('\n').map(line => JSON.parse(line));
+    if (!replies.some(r => r.error?.code === RPC_ERRORS.PARSE_ERROR) || !replies.some(r => r.id === 7 && r.result === 'pong')) {
+      throw new Error(`Unexpected stdio replies: ${JSON.stringify(replies)}`);
+    }
+  })) passed++; else failed++;
+
+  // Test 27: Uncommitted lines and staged changes
+  if (await testAsync('Uncommitted lines are marked and staged reversals are flagged', async () => {
+    const local = new GitWhy({ provider: new MockProvider(), cache: false, trackers: false });
+    const original = readFileSync('test.js', 'utf-8');
+    writeFileSync('test.js', `// Local note\n${original}`);
+    writeFileSync('scratch.js', 'const draft = true;\n');
+
+    try {
+      const shifted = await local.explain('test.js', { lineNumber: 1, endLine: 3 });
+      if (shifted.uncommitted.join(',') !== '1' || shifted.commits.length === 0 || !shifted.context.code.startsWith('// Local note')) {
+        throw new Error(`Expected line 1 uncommitted and history for lines 2-3, got ${JSON.stringify(shifted.uncommitted)}`);
+      }
+      const history = await local.explain('test.js', { lineNumber: 2, endLine: 4, history: true });
+      if (history.uncommitted.length !== 0 || history.commits.length === 0) {
+        throw new Error('--history should map working-tree lines back to HEAD');
+      }
+      const fresh = await local.explain('scratch.js', { lineNumber: 1 });
+      if (fresh.commits.length !== 0 || !fresh.explanation.includes('not been committed')) {
+        throw new Error('New files should explain that they have no history');
+      }
+
+      writeFileSync('test.js', original.replace('  if (!global) return "";\n', ''));
+      execSync('git add test.js');
+      let prompt = '';
+      const reviewer = {
+        name: 'reviewer',
+        async complete({ messages }) {
+          prompt = messages[0].content;
+          return 'This undoes a deliberate fix.\n\nWARNING: test.js:3 removes the null check added to prevent a crash';
+        }
+      };
+      const staged = await new GitWhy({ provider: reviewer, cache: false, trackers: false }).explainStaged();
+      if (!prompt.includes('Add null safety check') || staged.warnings.length !== 1 || !staged.warnings[0].startsWith('test.js:3')) {
+        throw new Error(`Expected one reversal warning, got ${JSON.stringify(staged.warnings)}`);
+      }
+    } finally {
+      execSync('git reset -q');
+      writeFileSync('test.js', original);
+      rmSync('scratch.js', { force: true });
+    }
+  })) passed++; else failed++;
+
+  // Test 28: Explaining code at another revision
+  if (await testAsync('explain() with rev reads, blames and resolves functions at that revision', async () => {
+    const atRev = new GitWhy({ provider: new MockProvider(), cache: false, trackers: false });
+    const before = execSync('git rev-parse HEAD', { encoding: 'utf-8' }).trim();
+    const original = readFileSync('test.js', 'utf-8');
+
+    writeFileSync('test.js', `// Rewritten\nfunction goodbye() {\n  return "moon";\n}\n`);
+    execSync('git commit -qam "Rewrite test.js"');
+    try {
+      const result = await atRev.explain('test.js', { functionName: 'hello', rev: before.substring(0, 10) });
+      if (!result.context.code.includes('return "world"') || result.commits.some(c => c.message === 'Rewrite test.js')) {
+        throw new Error('Expected the code and history as of the earlier revision');
+      }
+      if (result.context.lineNumber !== atRev.locateFunction('test.js', 'hello', before).startLine) {
+        throw new Error('Function lines should come from the old version of the file');
+      }
+
+      try {
+        await atRev.explain('missing.js', { lineNumber: 1, rev: before });
+        throw new Error('Should fail for a file that does not exist at the revision');
+      } catch (error) {
+        if (!error.message.startsWith('File not found at')) throw error;
+      }
+    } finally {
+      execSync(`git reset -q --hard ${before}`);
+      writeFileSync('test.js', original);
+    }
+  })) passed++; else failed++;
+
+  // Test 29: git runner
+  if (await testAsync('Git commands take argument arrays and fail with structured errors', async () => {
+    const name = 'we"ird $(touch pwned) `touch pwned2`.js';
+    writeFileSync(name, 'const odd = 1;\n');
+    execFileSync('git', ['add', '--', name]);
+    execFileSync('git', ['commit', '-q', '-m', 'Add a file with shell characters in its name']);
+
+    const safe = new GitWhy({ provider: new MockProvider(), cache: false, trackers: false });
+    const result = await safe.explain(name, { lineNumber: 1 });
+    if (result.commits[0]?.message !== 'Add a file with shell characters in its name' || existsSync('pwned') || existsSync('pwned2')) {
+      throw new Error('The file name should reach git untouched and never run anything');
+    }
+
+    const codeOf = (fn) => {
+      try {
+        fn();
+      } catch (error) {
+        return error.code;
+      }
+      return null;
+    };
+    if (codeOf(() => runGit(['show', 'HEAD:missing.js'])) !== 'MISSING_FILE' ||
+        codeOf(() => runGit(['log'], { maxBuffer: 10 })) !== 'OUTPUT_TOO_LARGE' ||
+        codeOf(() => runGit(['frobnicate'])) !== 'GIT_FAILED') {
+      throw new Error('Expected MISSING_FILE, OUTPUT_TOO_LARGE and GIT_FAILED errors');
+    }
+
+    const lines = [];
+    for await (const line of streamGit(['log', '--format=%s'])) lines.push(line);
+    if (lines[0] !== 'Add a file with shell characters in its name' || lines.length < 3) {
+      throw new Error(`streamGit should yield one line per commit, got ${lines.length}`);
+    }
+    const records = [];
+    for await (const record of streamGitRecords(['log', '-2', '--format=%x1e%s%n%nbody'])) records.push(record);
+    if (records.length !== 2 || records[0].trim() !== 'Add a file with shell characters in its name\n\nbody') {
+      throw new Error(`streamGitRecords should yield one multi-line record per commit, got ${JSON.stringify(records)}`);
+    }
+    if (codeOf(() => gitSucceeds(['log'], { maxBuffer: 10 })) !== 'OUTPUT_TOO_LARGE') {
+      throw new Error('gitSucceeds should not hide OUTPUT_TOO_LARGE');
+    }
+
+    const shallow = `${TEST_DIR}-shallow`;
+    const root = execSync('git rev-list --max-parents=0 HEAD', { encoding: 'utf-8' }).trim();
+    execFileSync('git', ['clone', '-q', '--depth', '1', `file://${TEST_DIR}`, shallow]);
+    try {
+      if (codeOf(() => runGit(['show', root], { cwd: shallow })) !== 'SHALLOW_HISTORY') {
+        throw new Error('Commits past the shallow boundary should be reported as SHALLOW_HISTORY');
+      }
+    } finally {
+      rmSync(shallow, { recursive: true, force: true });
+    }
+  })) passed++; else failed++;
+
+  // Test 30: Shallow clones
+  if (await testAsync('Shallow clone boundaries are flagged, and deepening fetches the real history', async () => {
+    const shallow = `${TEST_DIR}-shallow`;
+    execFileSync('git', ['clone', '-q', '--depth', '1', `file://${TEST_DIR}`, shallow]);
+    process.chdir(shallow);
+
+    try {
+      let prompt = '';
+      const recorder = {
+        name: 'recorder',
+        async complete({ messages }) {
+          prompt = messages[0].content;
+          return 'Explained';
+        }
+      };
+      const truncated = await new GitWhy({ provider: recorder, cache: false, trackers: false }).explain('test.js', { lineNumber: 3 });
+      if (!truncated.historyTruncated || truncated.boundary.length !== 1 || !prompt.includes('History truncated')) {
+        throw new Error('Expected the result and prompt to say the history is truncated');
+      }
+
+      const deepened = await new GitWhy({ provider: recorder, cache: false, trackers: false, unshallow: true }).explain('test.js', { lineNumber: 3 });
+      if (deepened.historyTruncated || deepened.commits[0]?.message.split('\n')[0] !== 'Add null safety check') {
+        throw new Error('Unshallowing should find the commit that wrote the line');
+      }
+    } finally {
+      process.chdir(TEST_DIR);
+      rmSync(shallow, { recursive: true, force: true });
+    }
+  })) passed++; else failed++;
+
+  // Test 31: Hotspots
+  if (await testAsync('Hotspots rank churned, reverted and poorly explained files', async () => {
+    const before = execSync('git rev-parse HEAD', { encoding: 'utf-8' }).trim();
+    try {
+      writeFileSync('hot.js', 'function churn() {\n  return 1;\n}\n');
+      execSync('git add hot.js && git commit -qm "wip"');
+      writeFileSync('hot.js', 'function churn() {\n  return 2;\n}\n');
+      execSync('git commit -qam "fix"');
+      writeFileSync('hot.js', 'function churn() {\n  return 3;\n}\n');
+      execSync('git commit -qam "Return 3 so callers can tell retries apart"');
+      execSync('git revert --no-edit HEAD', { stdio: 'ignore' });
+
+      const gitWhy = new GitWhy({ provider: new MockProvider(), cache: false, trackers: false });
+      const report = await findHotspots(gitWhy, '.', { explain: 1 });
+      const [top] = report.files;
+      if (top.path !== 'hot.js' || top.commits !== 4 || top.reverts !== 1 || top.poorMessages !== 2) {
+        throw new Error(`Expected hot.js first with 4 commits, 1 revert, 2 poor messages, got ${JSON.stringify(top)}`);
+      }
+      if (top.functions[0]?.name !== 'churn' || top.functions[0].commits !== 4 || !top.functions[0].explanation) {
+        throw new Error('Expected the churn function ranked and explained');
+      }
+      if (!isPoorMessage('update stuff') || isPoorMessage('Fix crash on empty input (#12)') || isPoorMessage('fix\n\nThe parser dropped the last token.')) {
+        throw new Error('isPoorMessage misjudged a message');
+      }
+    } finally {
+      execSync(`git reset -q --hard ${before}`);
+    }
+  })) passed++; else failed++;
+
+  // Test 32: Claims and citations
+  if (await testAsync('Explanations are split into claims with verified citations', async () => {
+    const fix = execSync('git log --format=%h -1 --grep "null safety"', { encoding: 'utf-8' }).trim();
+    let prompt = '';
+    const citing = {
+      name: 'citing',
+      async complete({ messages }) {
+        prompt = messages[0].content;
+        return `The check prevents a crash when global is undefined [${fix}]. It came from a code review. [deadbeef1]\n\nIt may matter for tests too [speculative].\n\nConfidence: medium`;
+      }
+    };
+    const gitWhy = new GitWhy({ provider: citing, cache: false, trackers: false, noColor: true });
+    const result = await gitWhy.explain('test.js', { lineNumber: 3 });
+
+    if (!prompt.includes('[speculative]') || result.confidence !== 'medium' || result.claims.length !== 3) {
+      throw new Error(`Expected 3 claims at medium confidence, got ${JSON.stringify(result.claims)}`);
+    }
+    const [grounded, unsupported, guess] = result.claims;
+    if (grounded.speculative || !grounded.citations[0].verified || grounded.citations[0].hash.length !== 40 ||
+        !unsupported.speculative || !guess.speculative || result.unverifiedCitations.join() !== 'deadbeef1') {
+      throw new Error('Only citations of analyzed commits should count as support');
+    }
+    const footer = gitWhy.formatFooter(result);
+    if (!footer.includes('Cited but not in the analyzed history: deadbeef1') || !footer.includes('? It may matter for tests too.')) {
+      throw new Error('The footer should flag unverified citations and speculative claims');
+    }
+  })) passed++; else failed++;
+
+  // Test 33: Redaction
+  if (await testAsync('Secrets, PII and denied paths are redacted before anything is sent', async () => {
+    const before = execSync('git rev-parse HEAD', { encoding: 'utf-8' }).trim();
+    const secret = 'ghp_' + 'a1B2c3D4e5F6g7H8i9J0k1L2m3N4o5P6q7R8';
+    try {
+      writeFileSync('.env', 'DB_PASSWORD=letmein123\n');
+      writeFileSync('client.js', `const token = "${secret}";\nconst owner = "jane.doe@customer.com";\nconst host = "billing.corp";\n`);
+      execSync('git add .env client.js && git commit -qm "Add client for billing"');
+
+      const sent = [];
+      const recorder = {
+        name: 'recorder',
+        async complete({ messages }) {
+          sent.push(messages[0].content);
+          return 'Explained';
+        }
+      };
+      const gitWhy = new GitWhy({ provider: recorder, cache: false, trackers: false, redact: { patterns: ['billing\\.corp'] } });
+      const result = await gitWhy.explain('client.js', { lineNumber: 1, endLine: 3 });
+      const change = await gitWhy.explainCommit('HEAD');
+      const prompts = sent.join('\n');
+      if (prompts.includes(secret) || prompts.includes('jane.doe@') || prompts.includes('billing.corp') || prompts.includes('letmein123')) {
+        throw new Error('A secret, email, custom pattern or denied file reached the provider');
+      }
+      if (!result.redactions.some(r => r.detector === 'github-token') || !change.hunks.find(h => h.file === '.env').withheld) {
+        throw new Error(`Expected the token redacted and .env withheld, got ${JSON.stringify(result.redactions)}`);
+      }
+
+      const log = readFileSync(join('.git', 'git-why', 'redactions.log'), 'utf-8');
+      if (log.includes(secret) || !log.includes('"detector":"github-token"')) {
+        throw new Error('The audit log should name detectors without keeping the secrets');
+      }
+
+      const dry = await new GitWhy({ provider: recorder, cache: false, trackers: false, dryRun: true }).explain('client.js', { lineNumber: 1 });
+      if (sent.length !== 2 || !dry.dryRun || dry.explanation !== '' || !dry.prompt.includes('[REDACTED:github-token]')) {
+        throw new Error('A dry run should build and redact the prompt without sending it');
+      }
+    } finally {
+      execSync(`git reset -q --hard ${before}`);
+    }
+  })) passed++; else failed++;
+
+  // Test 34: Whole-file sections
+  if (await testAsync('A whole file is explained by section, with commits ranked by lines owned', async () => {
+    const before = execSync('git rev-parse HEAD', { encoding: 'utf-8' }).trim();
+    try {
+      writeFileSync('shapes.js', 'function area(w, h) {\n  return w * h;\n}\n\nfunction label(name) {\n  return `shape ${name}`;\n}\n');
+      execSync('git add shapes.js && git commit -qm "Add shape helpers"');
+      writeFileSync('shapes.js', 'function area(w, h) {\n  if (w < 0 || h < 0) throw new Error("negative size");\n  const size = w * h;\n  return Math.round(size);\n}\n\nfunction label(name) {\n  return `shape ${name}`;\n}\n');
+      execSync('git commit -qam "Reject negative sizes and round areas"');
+      const [fix, first] = execSync('git log -2 --format=%H', { encoding: 'utf-8' }).trim().split('\n');
+
+      let prompt = '';
+      const provider = {
+        name: 'sections',
+        async complete({ messages }) {
+          prompt = messages[0].content;
+          return `## Summary\nGeometry helpers [${first.substring(0, 8)}].\n\n## area (lines 1-5)\nValidates sizes [${fix.substring(0, 8)}].\n\n## label (lines 7-9)\nNames shapes [${first.substring(0, 8)}].\n\nConfidence: high`;
+        }
+      };
+      const gitWhy = new GitWhy({ provider, cache: false, trackers: false });
+      const result = await gitWhy.explain('shapes.js');
+
+      if (result.commits[0].hash !== first || result.commits[0].ownedLines !== 6 || !prompt.includes('### Section 2: label (lines 7-9)')) {
+        throw new Error(`Expected the commit owning most lines first, got ${result.commits.map(c => `${c.hash}:${c.ownedLines}`)}`);
+      }
+      const [area, label] = result.sections;
+      if (result.summary !== `Geometry helpers [${first.substring(0, 8)}].` || area.explanation !== `Validates sizes [${fix.substring(0, 8)}].` ||
+          label.explanation !== `Names shapes [${first.substring(0, 8)}].` || result.confidence !== 'high') {
+        throw new Error(`Sections not parsed: ${JSON.stringify(result.sections)}`);
+      }
+      if (area.commits[0].hash !== fix || area.commits[0].lines !== 3 || label.commits.length !== 1) {
+        throw new Error(`Wrong section owners: ${JSON.stringify(area.commits)}`);
+      }
+      const json = gitWhy.serializeResult(result);
+      if (json.sections.length !== 2 || !json.summary) {
+        throw new Error('JSON output should carry the summary and sections');
+      }
+    } finally {
+      execSync(`git reset -q --hard ${before}`);
+    }
+  })) passed++; else failed++;
+
+  // Test 35: Owners
+  if (await testAsync('--owners merges .mailmap identities, flags inactive authors and summarizes intent', async () => {
+    const before = execSync('git rev-parse HEAD', { encoding: 'utf-8' }).trim();
+    const commitAs = (message, author, email, date, committer = author) => execSync(`git commit -qm "${message}"`, {
+      env: {
+        ...process.env,
+        GIT_AUTHOR_NAME: author,
+        GIT_AUTHOR_EMAIL: email,
+        GIT_AUTHOR_DATE: date,
+        GIT_COMMITTER_NAME: committer,
+        GIT_COMMITTER_EMAIL: `${committer.toLowerCase()}@example.com`,
+        GIT_COMMITTER_DATE: date
+      }
+    });
+    try {
+      writeFileSync('retry.js', 'const attempts = 3;\nconst delay = 100;\n');
+      execSync('git add retry.js');
+      commitAs('Retry flaky uploads', 'Old Timer', 'old@example.com', '2020-01-01T00:00:00Z');
+      writeFileSync('retry.js', 'const attempts = 3;\nconst delay = 100;\nconst jitter = true;\n');
+      execSync('git add retry.js');
+      commitAs('Add jitter so clients stop retrying in lockstep', 'Ada', 'ada@home.example', new Date().toISOString(), 'Maintainer');
+      writeFileSync('retry.js', 'const attempts = 3;\nconst delay = 100;\nconst jitter = true;\nconst cap = 5000;\n');
+      execSync('git add retry.js');
+      commitAs('Cap the backoff', 'Ada Lovelace', 'ada@example.com', new Date().toISOString());
+      writeFileSync('.mailmap', 'Ada Lovelace <ada@example.com> Ada <ada@home.example>\n');
+
+      let prompt = '';
+      const provider = {
+        name: 'owners',
+        async complete({ messages }) {
+          prompt = messages[0].content;
+          return 'Contributor 1: Made retries reliable for flaky uploads.\nContributor 2: Spread out and capped retries.';
+        }
+      };
+      const gitWhy = new GitWhy({ provider, cache: false, trackers: false });
+      const result = await findOwners(gitWhy, 'retry.js');
+      const [old, ada] = result.owners;
+
+      if (result.owners.length !== 2 || old.email !== 'old@example.com' || old.lines !== 2 || old.active) {
+        throw new Error(`Expected the old author first and inactive, got ${JSON.stringify(result.owners)}`);
+      }
+      if (ada.name !== 'Ada Lovelace' || ada.lines !== 2 || ada.commits.length !== 2 || !ada.active || ada.committers[0] !== 'Maintainer') {
+        throw new Error(`Expected both of Ada's identities merged, got ${JSON.stringify(ada)}`);
+      }
+      if (old.intent !== 'Made retries reliable for flaky uploads.' || ada.intent !== 'Spread out and capped retries.') {
+        throw new Error('Intents not parsed');
+      }
+      if (!prompt.includes('Add jitter so clients stop retrying in lockstep') || prompt.includes('ada@')) {
+        throw new Error('The prompt should carry commit messages but no email addresses');
+      }
+      if (!gitWhy.formatOutput(result).includes('inactive since 2020-01-01')) {
+        throw new Error('The text view should flag inactive authors');
+      }
+    } finally {
+      rmSync('.mailmap', { force: true });
+      execSync(`git reset -q --hard ${before}`);
+    }
+  })) passed++; else failed++;
+
+  // Test 36: Reverts, cherry-picks and fixes
+  if (await testAsync('Revert chains, cherry-picks and fixes are detected and warned about first', async () => {
+    const before = execSync('git rev-parse HEAD', { encoding: 'utf-8' }).trim();
+    try {
+      writeFileSync('flags.js', 'export const fastPath = true;\n');
+      execSync('git add flags.js && git commit -qm "Enable the fast path"');
+      const enabled = execSync('git rev-parse HEAD', { encoding: 'utf-8' }).trim();
+      execSync('git revert --no-edit HEAD && git revert --no-edit HEAD', { stdio: 'ignore' });
+      writeFileSync('flags.js', 'export const fastPath = process.env.FAST !== "0";\n');
+      execSync(`git commit -qam "Let ops turn the fast path off" -m "Fixes: ${enabled.substring(0, 12)}"`);
+      const fix = execSync('git rev-parse HEAD', { encoding: 'utf-8' }).trim();
+
+      let prompt = '';
+      const events = [];
+      const provider = {
+        name: 'relations',
+        async complete({ messages }) {
+          prompt = messages[0].content;
+          return 'Explained';
+        }
+      };
+      const gitWhy = new GitWhy({ provider, cache: false, trackers: false });
+      const result = await gitWhy.explain('flags.js', {
+        lineNumber: 1,
+        onWarnings: warnings => events.push(...warnings),
+        onChunk: () => events.push('chunk')
+      });
+
+      const reverted = result.historyWarnings.find(w => w.startsWith('This code has been reverted twice'));
+      const fixed = result.relations.find(r => r.kind === 'fixes');
+      if (!reverted || !fixed || fixed.hash !== fix || fixed.target !== enabled || fixed.inferred) {
+        throw new Error(`Expected a double revert and an explicit fix, got ${JSON.stringify(result.historyWarnings)}`);
+      }
+      if (events[events.length - 1] !== 'chunk' || !events.includes(reverted)) {
+        throw new Error('Warnings should be reported before the explanation streams');
+      }
+      if (!prompt.includes('Commit relationships') || !prompt.includes(`reverts ${enabled.substring(0, 8)} "Enable the fast path"`)) {
+        throw new Error('The prompt should spell out the chain');
+      }
+      if (!gitWhy.formatOutput(result).includes(`⚠️  ${reverted}`)) {
+        throw new Error('The text output should start with the warnings');
+      }
+
+      // A hex-looking word in a fix subject is not a commit reference
+      writeFileSync('check.js', 'export const check = value => value === 1;\n');
+      execSync('git add check.js && git commit -qm "add check"');
+      const added = execSync('git rev-parse HEAD', { encoding: 'utf-8' }).trim();
+      writeFileSync('check.js', 'export const check = value => value === 0xdeadbeef;\n');
+      execSync('git commit -qam "fix: compare against deadbeef marker"');
+      const marker = await gitWhy.explain('check.js', { lineNumber: 1 });
+      const inferred = marker.relations.find(r => r.kind === 'fixes');
+      if (marker.relations.some(r => r.target === 'deadbeef') || !inferred || !inferred.inferred || inferred.target !== added) {
+        throw new Error(`Expected only the inferred fix of "add check", got ${JSON.stringify(marker.relations)}`);
+      }
+      if (marker.historyWarnings.some(w => w.includes('null'))) {
+        throw new Error(`A warning printed a missing summary: ${JSON.stringify(marker.historyWarnings)}`);
+      }
+    } finally {
+      execSync(`git reset -q --hard ${before}`);
+    }
+  })) passed++; else failed++;
+
+  // Test 37: Merge commits and branch context
+  if (await testAsync('The merge that brought a commit in is added to its history', async () => {
+    const before = execSync('git rev-parse HEAD', { encoding: 'utf-8' }).trim();
+    const branch = execSync('git symbolic-ref --short HEAD', { encoding: 'utf-8' }).trim();
+    try {
+      execSync('git checkout -qb retry-topic');
+      writeFileSync('retry.js', 'export const attempts = 3;\n');
+      execSync('git add retry.js && git commit -qm "Add a retry count"');
+      writeFileSync('retry.js', 'export const attempts = 3;\nexport const backoff = 200;\n');
+      execSync('git commit -qam "Back off between retries"');
+      const backoff = execSync('git rev-parse HEAD', { encoding: 'utf-8' }).trim();
+
+      let prompt = '';
+      const provider = {
+        name: 'merges',
+        async complete({ messages }) {
+          prompt = messages[0].content;
+          return 'Explained';
+        }
+      };
+      // Cached and looked up before the merge, on the branch itself
+      const gitWhy = new GitWhy({ provider, trackers: false });
+      const unmerged = await gitWhy.explain('retry.js', { lineNumber: 2 });
+      if (unmerged.commits[0].merge) {
+        throw new Error('A commit on the checked-out branch has no merge yet');
+      }
+
+      execSync(`git checkout -q ${branch}`);
+      writeFileSync('mainline.js', 'export const mainline = true;\n');
+      execSync('git add mainline.js && git commit -qm "Commit on the mainline"');
+      execSync('git merge -q --no-ff retry-topic -m "Merge pull request #12 from acme/retry-topic" -m "Retry flaky uploads"');
+
+      const result = await gitWhy.explain('retry.js', { lineNumber: 2 });
+      const { merge } = result.commits[0];
+      if (result.cached || result.commits[0].hash !== backoff || !merge || merge.summary !== 'Merge pull request #12 from acme/retry-topic') {
+        throw new Error(`Expected the pull request merge, got ${JSON.stringify(merge)}`);
+      }
+      if (!prompt.includes('Retry flaky uploads') || !prompt.includes('Add a retry count')) {
+        throw new Error('The prompt should include the merge message and the other branch commits');
+      }
+
+      const mainline = await gitWhy.explain('mainline.js', { lineNumber: 1 });
+      if (mainline.commits[0].merge || prompt.includes('Merged in')) {
+        throw new Error('A commit made on the mainline has no merge');
+      }
+    } finally {
+      execSync(`git checkout -q ${branch} && git reset -q --hard ${before} && git branch -qD retry-topic`);
+    }
+  })) passed++; else failed++;
+
   console.log('\n─────────────────────────');
   console.log(`✅ Passed: ${passed}`);
   console.log(`❌ Failed: ${failed}`);